@@ -1,5 +1,17 @@
 const serverless = require('serverless-http');
 const app = require('./server');
+const Trip = require('./models/Trip');
 
 // Export the serverless handler
-module.exports.handler = serverless(app); 
\ No newline at end of file
+module.exports.handler = serverless(app);
+
+// Scheduled handler that expires stale trips and flags overstays
+module.exports.expireTrips = async () => {
+  const result = await Trip.expireStaleTrips({
+    refund: process.env.AUTO_REFUND_EXPIRED_TRIPS === 'true'
+  });
+  result.overstays = await Trip.flagOverstays();
+
+  console.log('⏰ Trip expiry sweep:', result);
+  return result;
+};
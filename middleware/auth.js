@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Device = require('../models/Device');
+const Session = require('../models/Session');
+const { hasPermission } = require('../utils/permissions');
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -14,6 +17,16 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Check the session behind the token has not been revoked
+      req.authSession = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+      if (!req.authSession || !req.authSession.isValid() || req.authSession.user.toString() !== decoded.id) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session expired or revoked, please log in again'
+        });
+      }
+
       // Get user from token
       req.user = await User.findById(decoded.id).select('-password');
 
@@ -61,15 +74,104 @@ const admin = (req, res, next) => {
   }
 };
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+// Permission middleware - require every listed permission, e.g. requirePermission('fares:write')
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (req.user && permissions.every(permission => hasPermission(req.user.role, permission))) {
+    next();
+  } else {
+    return res.status(403).json({
+      success: false,
+      message: `Access denied. Requires ${permissions.join(', ')} permission`
+    });
+  }
+};
+
+// Actions (e.g. "deposit,trip_purchase") that need a verified contact detail
+const requiredFor = (name) => (process.env[name] || '')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean);
+
+// Verification policy - block an action until the contact details required
+// for it by PHONE_VERIFICATION_REQUIRED_FOR / EMAIL_VERIFICATION_REQUIRED_FOR
+// are verified
+const requireVerified = (action) => (req, res, next) => {
+  const unverified = [];
+
+  if (!req.user.phoneVerified && requiredFor('PHONE_VERIFICATION_REQUIRED_FOR').includes(action)) {
+    unverified.push('phone number');
+  }
+
+  if (!req.user.emailVerified && requiredFor('EMAIL_VERIFICATION_REQUIRED_FOR').includes(action)) {
+    unverified.push('email');
+  }
+
+  if (unverified.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: `Please verify your ${unverified.join(' and ')} first`
+    });
+  }
+
+  next();
+};
+
+// Gate/validator devices - require a registered device API key
+const device = async (req, res, next) => {
+  const apiKey = req.headers['x-device-key'];
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, no device key'
+    });
+  }
+
+  try {
+    req.device = await Device.findByApiKey(apiKey);
+
+    if (!req.device) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, invalid or revoked device key'
+      });
+    }
+
+    req.device.lastSeenAt = new Date();
+    await req.device.save();
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Generate short-lived JWT access token bound to a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+// Start a new session and issue its access and refresh tokens
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, {
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
   });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
 };
 
 module.exports = {
   protect,
   admin,
-  generateToken
+  requirePermission,
+  device,
+  requireVerified,
+  generateToken,
+  issueTokens
 }; 
\ No newline at end of file
@@ -5,6 +5,9 @@ const errorHandler = (err, req, res, next) => {
   // Log error for debugging
   console.error('Error:', err);
 
+  // Let response hooks (e.g. idempotency keys) tell a thrown error from a handled one
+  res.locals.error = err;
+
   // Mongoose bad ObjectId
   if (err.name === 'CastError') {
     const message = 'Resource not found';
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const asyncHandler = require('../utils/asyncHandler');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// A key still 'processing' after this long belongs to a request that crashed
+// or timed out, and may be claimed by a retry
+const getLockSeconds = () => parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+
+// Make a route safe to retry - requires protect to run first.
+// Requests carrying an Idempotency-Key header are executed once per user and
+// route; replays get the original response, and reusing a key with a
+// different body is rejected with 409.
+const idempotent = asyncHandler(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key cannot exceed 255 characters'
+    });
+  }
+
+  const route = `${req.method} ${req.baseUrl}${req.route.path}`;
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(`${route}:${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+  let record;
+
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      user: req.user._id,
+      route,
+      fingerprint
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+
+    const existing = await IdempotencyKey.findOne({ key, user: req.user._id, route });
+
+    if (!existing) {
+      return next(error);
+    }
+
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(409).json({
+        success: false,
+        message: 'Idempotency-Key has already been used with a different request'
+      });
+    }
+
+    if (existing.status === 'completed') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Take over a stale key; the conditional update lets only one retry win
+    record = await IdempotencyKey.findOneAndUpdate(
+      {
+        _id: existing._id,
+        status: 'processing',
+        lockedAt: { $lte: new Date(Date.now() - getLockSeconds() * 1000) }
+      },
+      { $set: { lockedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!record) {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+  }
+
+  // Capture the response so replays can return it verbatim
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const persist = res.statusCode >= 500 || res.locals.error
+      // Server errors and thrown errors are not final - free the key so the client can retry
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne({ _id: record._id }, {
+        status: 'completed',
+        responseStatus: res.statusCode,
+        responseBody: body
+      });
+
+    persist
+      .catch((err) => console.error('Idempotency key persistence error:', err))
+      .then(() => originalJson(body));
+
+    return res;
+  };
+
+  next();
+});
+
+module.exports = idempotent;
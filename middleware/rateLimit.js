@@ -0,0 +1,196 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+// Counter stores implement:
+//   hit(key, windowMs)  count a hit, resolving to { count, resetAt }
+//   get(key)            resolve to the current { count, resetAt } or null
+//   reset(key)          forget the key
+// The store is chosen with RATE_LIMIT_STORE: 'memory' (default, per process)
+// or 'mongo' (shared between instances, e.g. Lambda containers).
+
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt.getTime() <= now) {
+      counter = { count: 0, resetAt: new Date(now + windowMs) };
+      this.counters.set(key, counter);
+      this.prune(now);
+    }
+
+    counter.count += 1;
+    return { ...counter };
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt.getTime() <= Date.now()) {
+      return null;
+    }
+
+    return { ...counter };
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  // Drop expired counters so the map does not grow without bound
+  prune(now) {
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt.getTime() <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+class MongoStore {
+  async hit(key, windowMs) {
+    const { count, resetAt } = await RateLimitCounter.hit(key, windowMs);
+    return { count, resetAt };
+  }
+
+  async get(key) {
+    const counter = await RateLimitCounter.findOne({ key, resetAt: { $gt: new Date() } });
+    return counter ? { count: counter.count, resetAt: counter.resetAt } : null;
+  }
+
+  async reset(key) {
+    await RateLimitCounter.deleteOne({ key });
+  }
+}
+
+let store = process.env.RATE_LIMIT_STORE === 'mongo' ? new MongoStore() : new MemoryStore();
+
+// Swap the counter store, e.g. for a Redis adapter
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+const tooManyRequests = (res, resetAt, message) => {
+  res.set('Retry-After', String(secondsUntil(resetAt)));
+  return res.status(429).json({
+    success: false,
+    message
+  });
+};
+
+// Limit requests to `max` per `windowMs` for each key (the client IP by
+// default). Requests whose key resolves to nothing are not counted.
+const rateLimit = ({ name, max, windowMs, keyBy = (req) => req.ip, message = 'Too many requests, please try again later' }) => {
+  return async (req, res, next) => {
+    try {
+      const key = keyBy(req);
+
+      if (!key) {
+        return next();
+      }
+
+      const limit = typeof max === 'function' ? max() : max;
+      const window = typeof windowMs === 'function' ? windowMs() : windowMs;
+      const { count, resetAt } = await store.hit(`${name}:${key}`, window);
+
+      res.set('RateLimit-Limit', String(limit));
+      res.set('RateLimit-Remaining', String(Math.max(0, limit - count)));
+      res.set('RateLimit-Reset', String(secondsUntil(resetAt)));
+
+      if (count > limit) {
+        return tooManyRequests(res, resetAt, message);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+const envNumber = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+const minutes = (value) => value * 60 * 1000;
+
+// Progressive account lockout after repeated login failures. After
+// LOGIN_MAX_FAILURES failures the account is locked for LOGIN_LOCKOUT_MINUTES;
+// each further lockout within a day doubles the duration, up to 24 hours.
+const loginLockout = {
+  async getLockedUntil(account) {
+    const lock = await store.get(`login-locked:${account}`);
+    return lock ? lock.resetAt : null;
+  },
+
+  async recordFailure(account) {
+    const failures = await store.hit(
+      `login-failures:${account}`,
+      minutes(envNumber('LOGIN_FAILURE_WINDOW_MINUTES', 15))
+    );
+
+    if (failures.count < envNumber('LOGIN_MAX_FAILURES', 5)) {
+      return null;
+    }
+
+    const lockouts = await store.hit(`login-lockouts:${account}`, minutes(24 * 60));
+    const lockMinutes = Math.min(
+      envNumber('LOGIN_LOCKOUT_MINUTES', 15) * 2 ** (lockouts.count - 1),
+      24 * 60
+    );
+
+    await store.reset(`login-failures:${account}`);
+    await store.reset(`login-locked:${account}`);
+    const lock = await store.hit(`login-locked:${account}`, minutes(lockMinutes));
+
+    return lock.resetAt;
+  },
+
+  async reset(account) {
+    await store.reset(`login-failures:${account}`);
+    await store.reset(`login-lockouts:${account}`);
+  }
+};
+
+// Per-IP limit shared by the public auth endpoints
+const authLimiter = rateLimit({
+  name: 'auth',
+  max: () => envNumber('AUTH_RATE_LIMIT', 20),
+  windowMs: () => minutes(envNumber('AUTH_RATE_LIMIT_WINDOW_MINUTES', 15)),
+  message: 'Too many attempts from this IP, please try again later'
+});
+
+// Per-account limit on login attempts, whatever IP they come from
+const loginAccountLimiter = rateLimit({
+  name: 'login-account',
+  max: () => envNumber('LOGIN_ACCOUNT_RATE_LIMIT', 10),
+  windowMs: () => minutes(envNumber('AUTH_RATE_LIMIT_WINDOW_MINUTES', 15)),
+  keyBy: (req) => (typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : null),
+  message: 'Too many login attempts for this account, please try again later'
+});
+
+// Per-device limit on gate ticket scans - requires device to run first.
+// Gates in a station usually share one NAT address, so the IP would
+// throttle the whole station.
+const scanLimiter = rateLimit({
+  name: 'scan',
+  max: () => envNumber('SCAN_RATE_LIMIT', 60),
+  windowMs: minutes(1),
+  keyBy: (req) => req.device && req.device._id.toString(),
+  message: 'Too many scans, please try again later'
+});
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  setStore,
+  rateLimit,
+  tooManyRequests,
+  loginLockout,
+  authLimiter,
+  loginAccountLimiter,
+  scanLimiter
+};
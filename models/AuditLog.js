@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+// Fields that change on every save or must never be copied into the log
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'password', 'apiKeyHash'];
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+  actorRole: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String, // e.g. 'fare.update', 'user.role.assign'
+    required: [true, 'Action is required']
+  },
+  targetType: {
+    type: String, // model name, e.g. 'Fare'
+    required: [true, 'Target type is required']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null // null for bulk changes such as a fare matrix import
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for audit queries
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Entries are append-only
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectChange
+);
+
+// Plain copy of a document (or object) without ignored fields
+const snapshot = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const plain = JSON.parse(JSON.stringify(
+    typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value
+  ));
+
+  IGNORED_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+};
+
+// Keep only the fields that differ between two snapshots
+const diff = (before, after) => {
+  if (!before || !after) {
+    return { before, after };
+  }
+
+  const changedBefore = {};
+  const changedAfter = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const field of fields) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changedBefore[field] = before[field];
+      changedAfter[field] = after[field];
+    }
+  }
+
+  return { before: changedBefore, after: changedAfter };
+};
+
+// Static method to take a snapshot of a document before changing it
+auditLogSchema.statics.snapshot = snapshot;
+
+// Static method to record a privileged change made by the requesting user.
+// `before` is a snapshot taken before the change (null for creations) and
+// `target` is the document after it.
+auditLogSchema.statics.record = function(req, action, { targetType, target, before = null, metadata = null }) {
+  const changes = diff(before, snapshot(target));
+
+  return this.create({
+    actor: req.user._id,
+    actorRole: req.user.role,
+    action,
+    targetType: targetType || target.constructor.modelName,
+    targetId: target ? target._id : null,
+    before: changes.before,
+    after: changes.after,
+    metadata,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent') || null
+  });
+};
+
+// Static method to search the audit log
+auditLogSchema.statics.search = async function(filters = {}, page = 1, limit = 50) {
+  const skip = (page - 1) * limit;
+  const query = {};
+
+  if (filters.actor) query.actor = filters.actor;
+  if (filters.action) query.action = filters.action;
+  if (filters.targetType) query.targetType = filters.targetType;
+  if (filters.targetId) query.targetId = filters.targetId;
+
+  if (filters.startDate || filters.endDate) {
+    query.createdAt = {};
+    if (filters.startDate) query.createdAt.$gte = filters.startDate;
+    if (filters.endDate) query.createdAt.$lte = filters.endDate;
+  }
+
+  const entries = await this.find(query)
+    .populate('actor', 'fullName email role')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await this.countDocuments(query);
+
+  return { entries, total };
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
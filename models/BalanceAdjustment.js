@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+const Transaction = require('./Transaction');
+
+const balanceAdjustmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  delta: {
+    type: Number, // positive credits the wallet, negative debits it
+    required: [true, 'Delta is required'],
+    validate: {
+      validator: (value) => value !== 0,
+      message: 'Delta cannot be zero'
+    }
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'applied', 'rejected', 'failed'],
+    default: 'pending'
+  },
+  requiresApproval: {
+    type: Boolean,
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Requester is required']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNotes: {
+    type: String,
+    maxlength: [200, 'Review notes cannot exceed 200 characters']
+  },
+  appliedAt: {
+    type: Date,
+    default: null
+  },
+  balanceAfter: {
+    type: Number,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for the approval queue and per-user history
+balanceAdjustmentSchema.index({ status: 1, createdAt: -1 });
+balanceAdjustmentSchema.index({ user: 1, createdAt: -1 });
+
+// Adjustments applied without a second approver may total at most this much
+// (in either direction) per user over 24 hours
+const getApprovalThreshold = () => {
+  const threshold = parseFloat(process.env.BALANCE_ADJUSTMENT_APPROVAL_THRESHOLD);
+  return Number.isNaN(threshold) ? 0 : threshold;
+};
+
+// Static method to check whether an adjustment needs approval. Unapproved
+// adjustments made for the user in the last 24 hours count towards the
+// threshold, so a large change cannot be split into small ones.
+balanceAdjustmentSchema.statics.needsApproval = async function(userId, delta) {
+  const threshold = getApprovalThreshold();
+
+  if (Math.abs(delta) > threshold) {
+    return true;
+  }
+
+  const [recent] = await this.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId.toString()),
+        requiresApproval: false,
+        status: { $in: ['pending', 'applied'] },
+        createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+      }
+    },
+    { $group: { _id: null, total: { $sum: { $abs: '$delta' } } } }
+  ]);
+
+  return (recent ? recent.total : 0) + Math.abs(delta) > threshold;
+};
+
+// Method to check the threshold again once the adjustment is stored. Requests
+// made in parallel can all pass needsApproval before any of them is saved, but
+// the later ones see the others here and are held for approval. The adjustment
+// itself is already counted, hence the zero delta.
+balanceAdjustmentSchema.methods.recheckApproval = async function() {
+  if (!this.requiresApproval && await this.constructor.needsApproval(this.user, 0)) {
+    this.requiresApproval = true;
+    await this.save();
+  }
+
+  return this;
+};
+
+// Static method to claim a pending adjustment for review. The conditional
+// update makes sure two checkers can never both decide on the same request.
+balanceAdjustmentSchema.statics.claimForReview = function(id, status, reviewer, reviewNotes) {
+  return this.findOneAndUpdate(
+    { _id: id, status: 'pending', requestedBy: { $ne: reviewer._id } },
+    {
+      $set: {
+        status,
+        reviewedBy: reviewer._id,
+        reviewedAt: new Date(),
+        reviewNotes
+      }
+    },
+    { new: true }
+  );
+};
+
+// Method to apply the adjustment to the wallet through the ledger. If the
+// balance change throws, an approved adjustment goes back to 'pending' so it
+// can be approved again; a ledger entry left by an earlier attempt counts as
+// applied, so the wallet is never changed twice.
+balanceAdjustmentSchema.methods.apply = async function() {
+  const details = {
+    type: 'adjustment',
+    performedBy: this.reviewedBy || this.requestedBy,
+    reference: this._id.toString(),
+    description: this.reason
+  };
+
+  let user;
+
+  try {
+    const ledgerEntry = await Transaction.findOne({ type: 'adjustment', reference: details.reference });
+
+    if (ledgerEntry) {
+      user = { balance: ledgerEntry.balanceAfter };
+    } else {
+      user = this.delta > 0
+        ? await User.creditBalance(this.user, this.delta, details)
+        : await User.debitBalance(this.user, -this.delta, details);
+    }
+  } catch (error) {
+    if (this.status === 'approved') {
+      await this.constructor.updateOne(
+        { _id: this._id, status: 'approved' },
+        { $set: { status: 'pending', reviewedBy: null, reviewedAt: null, reviewNotes: null } }
+      );
+    }
+    throw error;
+  }
+
+  if (user) {
+    this.status = 'applied';
+    this.appliedAt = new Date();
+    this.balanceAfter = user.balance;
+  } else {
+    this.status = 'failed';
+    this.failureReason = this.delta > 0 ? 'User not found' : 'Insufficient balance';
+  }
+
+  return this.save();
+};
+
+module.exports = mongoose.model('BalanceAdjustment', balanceAdjustmentSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const deviceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Device name is required'],
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters']
+  },
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: [true, 'Station is required']
+  },
+  apiKeyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  apiKeyPrefix: {
+    type: String, // first characters of the key, to help admins identify it
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  registeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+// Generate a new API key for the device. The plain key is only returned here;
+// just its hash is stored.
+deviceSchema.methods.generateApiKey = function() {
+  const apiKey = `gk_${crypto.randomBytes(24).toString('hex')}`;
+
+  this.apiKeyHash = hashApiKey(apiKey);
+  this.apiKeyPrefix = apiKey.substring(0, 10);
+
+  return apiKey;
+};
+
+// Static method to find an active device by API key
+deviceSchema.statics.findByApiKey = async function(apiKey) {
+  return await this.findOne({
+    apiKeyHash: hashApiKey(apiKey),
+    isActive: true
+  }).populate('station', 'name code');
+};
+
+module.exports = mongoose.model('Device', deviceSchema);
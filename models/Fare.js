@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { findShortestPath } = require('../utils/routePlanner');
+const { selectFareType } = require('../utils/fareCalendar');
+const { validateRows } = require('../utils/fareMatrix');
+const Station = require('./Station');
+const FareRule = require('./FareRule');
 
 const fareSchema = new mongoose.Schema({
   fromStation: {
@@ -42,36 +47,456 @@ const fareSchema = new mongoose.Schema({
   effectiveTo: {
     type: Date,
     default: null
+  },
+  symmetric: {
+    type: Boolean, // also applies to the return journey (toStation -> fromStation)
+    default: false
   }
 }, {
   timestamps: true
 });
 
-// Compound index to ensure unique fare between stations
-fareSchema.index({ fromStation: 1, toStation: 1, fareType: 1 }, { unique: true });
+// Compound index to ensure one fare version per route, type and start time.
+// Price changes are stored as new versions so the full history is kept.
+fareSchema.index({ fromStation: 1, toStation: 1, fareType: 1, effectiveFrom: 1 }, { unique: true });
 
-// Virtual for reverse fare (same fare for return journey)
+// Virtual for reverse fare (the fare for the return journey of the same type)
 fareSchema.virtual('reverseFare', {
   ref: 'Fare',
   localField: 'toStation',
   foreignField: 'fromStation',
-  justOne: true
+  justOne: true,
+  match: (fare) => ({
+    toStation: fare.fromStation,
+    fareType: fare.fareType,
+    isActive: true
+  })
+});
+
+// Query conditions for fares in effect at a given time.
+// A version applies from effectiveFrom (inclusive) until effectiveTo (exclusive).
+const activeFareConditions = (at = new Date()) => ({
+  isActive: true,
+  $and: [
+    { $or: [{ effectiveFrom: null }, { effectiveFrom: { $lte: at } }] },
+    { $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }] }
+  ]
 });
 
-// Method to get fare between stations
-fareSchema.statics.getFare = async function(fromStationId, toStationId, fareType = 'regular') {
+fareSchema.statics.activeConditions = activeFareConditions;
+
+// Method to get fare between stations. A symmetric fare recorded for the
+// opposite direction is used when there is no fare for this direction.
+fareSchema.statics.getFare = async function(fromStationId, toStationId, fareType = 'regular', at = new Date()) {
   const fare = await this.findOne({
     fromStation: fromStationId,
     toStation: toStationId,
     fareType: fareType,
-    isActive: true,
-    $or: [
-      { effectiveTo: null },
-      { effectiveTo: { $gte: new Date() } }
-    ]
+    ...activeFareConditions(at)
+  }).populate('fromStation', 'name code').populate('toStation', 'name code');
+
+  if (fare) {
+    return fare;
+  }
+
+  return await this.findOne({
+    fromStation: toStationId,
+    toStation: fromStationId,
+    fareType: fareType,
+    symmetric: true,
+    ...activeFareConditions(at)
   }).populate('fromStation', 'name code').populate('toStation', 'name code');
-  
-  return fare;
+};
+
+// Method to find an active fare for the opposite direction that would make
+// a fare between these stations ambiguous. A reverse fare conflicts when
+// either it or the new fare is symmetric.
+fareSchema.statics.findConflictingReverseFare = async function(fromStationId, toStationId, fareType, symmetric, excludeId = null) {
+  const query = {
+    fromStation: toStationId,
+    toStation: fromStationId,
+    fareType,
+    isActive: true
+  };
+
+  if (!symmetric) {
+    query.symmetric = true;
+  }
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return await this.findOne(query);
+};
+
+// Method to plan a multi-hop route, treating fares as edges of the station graph.
+// optimize: 'fare' for the cheapest route, 'time' for the fastest.
+fareSchema.statics.planRoute = async function(fromStationId, toStationId, { optimize = 'fare', fareType = 'regular', at = new Date() } = {}) {
+  const fares = await this.find({ fareType, ...activeFareConditions(at) })
+    .populate('fromStation', 'name code')
+    .populate('toStation', 'name code');
+
+  const toEdge = (fare, fromStation, toStation) => ({
+    from: fromStation._id.toString(),
+    to: toStation._id.toString(),
+    fromStation,
+    toStation,
+    fare
+  });
+
+  // Skip fares whose stations no longer exist; symmetric fares are edges both ways
+  const edges = [];
+  for (const fare of fares.filter(fare => fare.fromStation && fare.toStation)) {
+    edges.push(toEdge(fare, fare.fromStation, fare.toStation));
+
+    if (fare.symmetric) {
+      edges.push(toEdge(fare, fare.toStation, fare.fromStation));
+    }
+  }
+
+  // Break ties on the secondary metric so equal-cost routes are stable
+  const weight = optimize === 'time'
+    ? (edge) => edge.fare.duration + edge.fare.fare * 1e-6
+    : (edge) => edge.fare.fare + edge.fare.duration * 1e-6;
+
+  const path = findShortestPath(edges, fromStationId.toString(), toStationId.toString(), weight);
+
+  if (!path || path.length === 0) {
+    return null;
+  }
+
+  const legs = path.map(edge => ({
+    fareId: edge.fare._id,
+    fromStation: edge.fromStation,
+    toStation: edge.toStation,
+    fare: edge.fare.fare,
+    distance: edge.fare.distance,
+    duration: edge.fare.duration
+  }));
+
+  return {
+    legs,
+    totalFare: legs.reduce((sum, leg) => sum + leg.fare, 0),
+    totalDistance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+    totalDuration: legs.reduce((sum, leg) => sum + leg.duration, 0)
+  };
+};
+
+// Method to find the fare between stations from a pair fare, falling back to
+// the zone fare rules. The source says which one priced it ('pair' or 'zone').
+fareSchema.statics.findFare = async function(fromStationId, toStationId, fareType = 'regular', at = new Date()) {
+  const fare = await this.getFare(fromStationId, toStationId, fareType, at);
+
+  if (fare) {
+    return { fare, source: 'pair' };
+  }
+
+  const zoneFare = await FareRule.getFare(fromStationId, toStationId, fareType);
+
+  return zoneFare && { fare: zoneFare, source: 'zone' };
+};
+
+// Method to price a journey: the direct pair fare when one exists, then the
+// zone fare rules, otherwise the cheapest multi-hop route
+fareSchema.statics.quote = async function(fromStationId, toStationId, fareType = 'regular', at = new Date()) {
+  const found = await this.findFare(fromStationId, toStationId, fareType, at);
+
+  if (found) {
+    return {
+      fare: found.fare.fare,
+      distance: found.source === 'pair' ? found.fare.distance : null,
+      duration: found.source === 'pair' ? found.fare.duration : null,
+      fareType,
+      source: found.source,
+      legs: null
+    };
+  }
+
+  const route = await this.planRoute(fromStationId, toStationId, { optimize: 'fare', fareType, at });
+
+  if (!route) {
+    return null;
+  }
+
+  return {
+    fare: route.totalFare,
+    distance: route.totalDistance,
+    duration: route.totalDuration,
+    fareType,
+    source: 'route',
+    legs: route.legs
+  };
+};
+
+// Method to schedule a price revision for a fare. The new version takes effect
+// at effectiveFrom; the version in effect at that time is closed off, and the
+// new one runs until the next scheduled version (if any).
+fareSchema.methods.scheduleRevision = async function({ fare, distance, duration, symmetric, effectiveFrom }) {
+  const Fare = this.constructor;
+  const fromStation = this.fromStation._id || this.fromStation;
+  const toStation = this.toStation._id || this.toStation;
+  const versionQuery = {
+    fromStation,
+    toStation,
+    fareType: this.fareType,
+    isActive: true
+  };
+
+  const current = await Fare.findOne({
+    ...versionQuery,
+    ...activeFareConditions(effectiveFrom)
+  });
+
+  const next = await Fare.findOne({
+    ...versionQuery,
+    effectiveFrom: { $gt: effectiveFrom }
+  }).sort({ effectiveFrom: 1 });
+
+  const base = current || this;
+  const revision = await Fare.create({
+    fromStation,
+    toStation,
+    fareType: this.fareType,
+    fare: fare !== undefined ? fare : base.fare,
+    distance: distance !== undefined ? distance : base.distance,
+    duration: duration !== undefined ? duration : base.duration,
+    symmetric: symmetric !== undefined ? symmetric : base.symmetric,
+    effectiveFrom,
+    effectiveTo: next ? next.effectiveFrom : (current ? current.effectiveTo : null)
+  });
+
+  if (current) {
+    current.effectiveTo = effectiveFrom;
+    await current.save();
+  }
+
+  return revision;
+};
+
+// Method to get every version of this fare (same route and type), oldest first
+fareSchema.methods.getHistory = async function() {
+  return await this.constructor.find({
+    fromStation: this.fromStation,
+    toStation: this.toStation,
+    fareType: this.fareType
+  }).sort({ effectiveFrom: 1 });
+};
+
+// Static method to export the fares of a type in effect now as matrix rows keyed
+// by station code. Fares touching stations without a code cannot be exported.
+fareSchema.statics.exportMatrix = async function(fareType = 'regular') {
+  const fares = await this.find({ fareType, ...activeFareConditions() })
+    .populate('fromStation', 'code')
+    .populate('toStation', 'code');
+
+  const exportable = fares.filter(fare =>
+    fare.fromStation && fare.toStation && fare.fromStation.code && fare.toStation.code
+  );
+
+  const rows = exportable
+    .map(fare => ({
+      from: fare.fromStation.code,
+      to: fare.toStation.code,
+      fare: fare.fare,
+      distance: fare.distance,
+      duration: fare.duration,
+      symmetric: fare.symmetric
+    }))
+    .sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+
+  return { rows, skipped: fares.length - exportable.length };
+};
+
+// Static method to import a full fare matrix for a fare type. Routes missing from
+// the matrix are deactivated, and price changes are stored as new fare versions
+// taking effect immediately. Imported prices run until the route's next scheduled
+// revision (reported under `scheduled`); routes being deactivated lose their
+// scheduled revisions too. With dryRun, only the diff is returned; otherwise
+// `applied` lists each written fare with its state before the import (null
+// for new fares) for auditing.
+fareSchema.statics.importMatrix = async function(rows, { fareType = 'regular', dryRun = true } = {}) {
+  const errors = validateRows(rows);
+
+  const codes = [...new Set(rows.flatMap(row => [row.from, row.to]))];
+  const stations = await Station.find({ code: { $in: codes } });
+  const stationsByCode = new Map(stations.map(station => [station.code, station]));
+
+  codes.filter(code => code && !stationsByCode.has(code)).forEach((code) => {
+    errors.push(`Unknown station code: ${code}`);
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const now = new Date();
+  const routeKeyOf = (fare) => `${fare.fromStation._id}->${fare.toStation._id}`;
+
+  const current = await this.find({ fareType, ...activeFareConditions(now) })
+    .populate('fromStation', 'code')
+    .populate('toStation', 'code');
+  const currentByRoute = new Map(current
+    .filter(fare => fare.fromStation && fare.toStation)
+    .map(fare => [routeKeyOf(fare), fare]));
+
+  // Future versions from scheduled revisions, earliest first per route
+  const upcoming = await this.find({ fareType, isActive: true, effectiveFrom: { $gt: now } })
+    .populate('fromStation', 'code')
+    .populate('toStation', 'code')
+    .sort({ effectiveFrom: 1 });
+  const upcomingByRoute = new Map();
+  upcoming.filter(fare => fare.fromStation && fare.toStation).forEach((fare) => {
+    const routeKey = routeKeyOf(fare);
+    upcomingByRoute.set(routeKey, [...(upcomingByRoute.get(routeKey) || []), fare]);
+  });
+
+  const diff = { create: [], change: [], deactivate: [], scheduled: [], unchanged: 0 };
+  const seenRoutes = new Set();
+
+  for (const row of rows) {
+    const fromStation = stationsByCode.get(row.from);
+    const toStation = stationsByCode.get(row.to);
+    const routeKey = `${fromStation._id}->${toStation._id}`;
+    const existing = currentByRoute.get(routeKey);
+    seenRoutes.add(routeKey);
+
+    const next = (upcomingByRoute.get(routeKey) || [])[0];
+
+    if (!existing) {
+      diff.create.push({ row, fromStation, toStation, next });
+    } else if (['fare', 'distance', 'duration', 'symmetric'].some(field => existing[field] !== row[field])) {
+      diff.change.push({ row, existing });
+    } else {
+      diff.unchanged += 1;
+      continue;
+    }
+
+    // The imported price only holds until the scheduled revision takes over
+    if (next) {
+      diff.scheduled.push({ row, next });
+    }
+  }
+
+  const removed = (fare) => fare.fromStation && fare.toStation && !seenRoutes.has(routeKeyOf(fare));
+  diff.deactivate = [...current.filter(removed), ...upcoming.filter(removed)];
+
+  const applied = [];
+
+  if (!dryRun) {
+    for (const { row, fromStation, toStation, next } of diff.create) {
+      const created = await this.create({
+        fromStation: fromStation._id,
+        toStation: toStation._id,
+        fareType,
+        fare: row.fare,
+        distance: row.distance,
+        duration: row.duration,
+        symmetric: row.symmetric,
+        effectiveFrom: now,
+        effectiveTo: next ? next.effectiveFrom : null
+      });
+      applied.push({ change: 'create', before: null, after: created });
+    }
+
+    for (const { row, existing } of diff.change) {
+      const before = existing.toObject({ depopulate: true });
+      const revision = await existing.scheduleRevision({
+        fare: row.fare,
+        distance: row.distance,
+        duration: row.duration,
+        symmetric: row.symmetric,
+        effectiveFrom: now
+      });
+      applied.push({ change: 'change', before, after: revision });
+    }
+
+    await this.updateMany(
+      { _id: { $in: diff.deactivate.map(fare => fare._id) } },
+      { $set: { isActive: false } }
+    );
+
+    for (const fare of diff.deactivate) {
+      const before = fare.toObject({ depopulate: true });
+      fare.isActive = false;
+      applied.push({ change: 'deactivate', before, after: fare });
+    }
+  }
+
+  const describe = (fare) => ({
+    from: fare.fromStation.code || fare.fromStation._id,
+    to: fare.toStation.code || fare.toStation._id,
+    fare: fare.fare,
+    distance: fare.distance,
+    duration: fare.duration,
+    symmetric: fare.symmetric,
+    ...(fare.effectiveFrom > now && { effectiveFrom: fare.effectiveFrom })
+  });
+
+  return {
+    fareType,
+    dryRun,
+    summary: {
+      create: diff.create.length,
+      change: diff.change.length,
+      deactivate: diff.deactivate.length,
+      scheduled: diff.scheduled.length,
+      unchanged: diff.unchanged
+    },
+    create: diff.create.map(({ row }) => row),
+    change: diff.change.map(({ row, existing }) => ({ before: describe(existing), after: row })),
+    deactivate: diff.deactivate.map(describe),
+    scheduled: diff.scheduled.map(({ row, next }) => ({
+      from: row.from,
+      to: row.to,
+      fare: row.fare,
+      until: next.effectiveFrom,
+      scheduledFare: next.fare
+    })),
+    applied
+  };
+};
+
+// Run a fare lookup with the fare type chosen by the peak/off-peak calendar,
+// falling back to the regular fare when the route has no fare of that type
+const withCalendarFareType = async (lookup, at) => {
+  const { fareType, reason } = selectFareType(at);
+  const result = await lookup(fareType);
+
+  if (result || fareType === 'regular') {
+    return { result, fareType, reason };
+  }
+
+  return {
+    result: await lookup('regular'),
+    fareType: 'regular',
+    reason: `${reason}, but no ${fareType} fare exists for this route`
+  };
+};
+
+// Method to get the fare between stations that applies at a given time
+fareSchema.statics.getFareAt = async function(fromStationId, toStationId, at = new Date()) {
+  const { result, fareType, reason } = await withCalendarFareType(
+    (type) => this.findFare(fromStationId, toStationId, type, at),
+    at
+  );
+
+  return {
+    fare: result ? result.fare : null,
+    source: result ? result.source : null,
+    fareType,
+    reason
+  };
+};
+
+// Method to price a journey at a given time
+fareSchema.statics.quoteAt = async function(fromStationId, toStationId, at = new Date()) {
+  const { result, reason } = await withCalendarFareType(
+    (type) => this.quote(fromStationId, toStationId, type, at),
+    at
+  );
+
+  return result && { ...result, fareTypeReason: reason };
 };
 
 module.exports = mongoose.model('Fare', fareSchema); 
\ No newline at end of file
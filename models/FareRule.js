@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Station = require('./Station');
+
+const fareRuleSchema = new mongoose.Schema({
+  ruleType: {
+    type: String,
+    enum: ['zone_pair', 'zones_crossed'],
+    required: [true, 'Rule type is required']
+  },
+  fromZone: {
+    type: String, // zone_pair rules only - applies in both directions
+    trim: true,
+    default: null
+  },
+  toZone: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  zonesCrossed: {
+    type: Number, // zones_crossed rules only - 0 means within the same zone
+    min: [0, 'Zones crossed cannot be negative'],
+    default: null
+  },
+  fare: {
+    type: Number,
+    required: [true, 'Fare amount is required'],
+    min: [0, 'Fare cannot be negative']
+  },
+  fareType: {
+    type: String,
+    enum: ['regular', 'peak', 'off-peak', 'student', 'senior'],
+    default: 'regular'
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for rule lookups
+fareRuleSchema.index({ fareType: 1, ruleType: 1, isActive: 1 });
+
+// Zone number taken from the zone name, e.g. "Zone 3" -> 3
+const getZoneNumber = (zone) => {
+  const match = String(zone).match(/\d+/);
+  return match ? Number(match[0]) : null;
+};
+
+// Number of zones crossed between two zones, or null when it cannot be told
+// (zone names without a number)
+const countZonesCrossed = (fromZone, toZone) => {
+  if (fromZone === toZone) {
+    return 0;
+  }
+
+  const from = getZoneNumber(fromZone);
+  const to = getZoneNumber(toZone);
+
+  return from === null || to === null ? null : Math.abs(from - to);
+};
+
+// Static method to price a journey between stations from the zone rules.
+// A zone pair rule takes precedence over a zones crossed rule.
+fareRuleSchema.statics.getFare = async function(fromStationId, toStationId, fareType = 'regular') {
+  // A journey back to the boarding station is never priced
+  if (String(fromStationId) === String(toStationId)) {
+    return null;
+  }
+
+  const fromStation = await Station.findById(fromStationId).select('name code zone');
+  const toStation = await Station.findById(toStationId).select('name code zone');
+
+  if (!fromStation || !toStation) {
+    return null;
+  }
+
+  let rule = await this.findOne({
+    ruleType: 'zone_pair',
+    fareType,
+    isActive: true,
+    $or: [
+      { fromZone: fromStation.zone, toZone: toStation.zone },
+      { fromZone: toStation.zone, toZone: fromStation.zone }
+    ]
+  });
+
+  const zonesCrossed = countZonesCrossed(fromStation.zone, toStation.zone);
+
+  if (!rule && zonesCrossed !== null) {
+    rule = await this.findOne({
+      ruleType: 'zones_crossed',
+      fareType,
+      isActive: true,
+      zonesCrossed
+    });
+  }
+
+  if (!rule) {
+    return null;
+  }
+
+  return {
+    fare: rule.fare,
+    fareType,
+    fromStation,
+    toStation,
+    zonesCrossed,
+    fareRule: rule
+  };
+};
+
+module.exports = mongoose.model('FareRule', fareRuleSchema);
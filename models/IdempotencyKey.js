@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    trim: true,
+    maxlength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  route: {
+    type: String,
+    required: true
+  },
+  fingerprint: {
+    type: String, // SHA-256 of method, route and request body
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lockedAt: {
+    type: Date, // when the request currently processing this key started
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: function() {
+      // Keys are kept for 24 hours
+      return new Date(Date.now() + 24 * 60 * 60 * 1000);
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// A key is unique per user and route
+idempotencyKeySchema.index({ user: 1, route: 1, key: 1 }, { unique: true });
+
+// Let MongoDB purge expired keys
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+const lineStopSchema = new mongoose.Schema({
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: [true, 'Station is required']
+  },
+  distanceFromPrevious: {
+    type: Number, // km from the previous stop, 0 for the first stop
+    default: 0,
+    min: [0, 'Distance cannot be negative']
+  },
+  travelTimeFromPrevious: {
+    type: Number, // minutes from the previous stop, 0 for the first stop
+    default: 0,
+    min: [0, 'Travel time cannot be negative']
+  }
+}, {
+  _id: false
+});
+
+const lineSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Line name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Line name cannot exceed 50 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Line code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [10, 'Line code cannot exceed 10 characters']
+  },
+  color: {
+    type: String,
+    required: [true, 'Line color is required'],
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex code like #0055A4']
+  },
+  stations: {
+    type: [lineStopSchema],
+    validate: [
+      {
+        validator: (stops) => stops.length >= 2,
+        message: 'A line needs at least 2 stations'
+      },
+      {
+        validator: (stops) => new Set(stops.map(stop => stop.station.toString())).size === stops.length,
+        message: 'A station can only appear once on a line'
+      }
+    ]
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for finding the lines that serve a station
+lineSchema.index({ 'stations.station': 1 });
+
+const stationId = (stop) => (stop.station._id || stop.station).toString();
+
+// Method to get the stops with cumulative distance and travel time from the first stop
+lineSchema.methods.getStops = function() {
+  let distance = 0;
+  let travelTime = 0;
+
+  return this.stations.map((stop, index) => {
+    if (index > 0) {
+      distance += stop.distanceFromPrevious;
+      travelTime += stop.travelTimeFromPrevious;
+    }
+
+    return {
+      station: stop.station,
+      distanceFromPrevious: stop.distanceFromPrevious,
+      travelTimeFromPrevious: stop.travelTimeFromPrevious,
+      distanceFromStart: Math.round(distance * 100) / 100,
+      travelTimeFromStart: travelTime
+    };
+  });
+};
+
+// Method to get the distance and travel time between two stops on the line
+// (in either direction). Returns null when either station is not on the line.
+lineSchema.methods.getSegment = function(fromStationId, toStationId) {
+  const stops = this.getStops();
+  const fromIndex = stops.findIndex(stop => stationId(stop) === fromStationId.toString());
+  const toIndex = stops.findIndex(stop => stationId(stop) === toStationId.toString());
+
+  if (fromIndex === -1 || toIndex === -1) {
+    return null;
+  }
+
+  return {
+    stops: Math.abs(toIndex - fromIndex),
+    distance: Math.round(Math.abs(stops[toIndex].distanceFromStart - stops[fromIndex].distanceFromStart) * 100) / 100,
+    duration: Math.abs(stops[toIndex].travelTimeFromStart - stops[fromIndex].travelTimeFromStart)
+  };
+};
+
+// Static method to get the active lines serving a station
+lineSchema.statics.getLinesForStation = function(stationId) {
+  return this.find({ 'stations.station': stationId, isActive: true })
+    .select('name code color')
+    .sort({ name: 1 });
+};
+
+// Static method to find interchange stations (served by two or more active lines)
+lineSchema.statics.getInterchanges = function() {
+  return this.aggregate([
+    { $match: { isActive: true } },
+    { $unwind: '$stations' },
+    {
+      $group: {
+        _id: '$stations.station',
+        lines: { $push: { _id: '$_id', name: '$name', code: '$code', color: '$color' } }
+      }
+    },
+    { $match: { 'lines.1': { $exists: true } } },
+    { $lookup: { from: 'stations', localField: '_id', foreignField: '_id', as: 'station' } },
+    { $unwind: '$station' },
+    {
+      $project: {
+        _id: 0,
+        station: { _id: '$station._id', name: '$station.name', code: '$station.code', zone: '$station.zone' },
+        lines: 1
+      }
+    },
+    { $sort: { 'station.name': 1 } }
+  ]);
+};
+
+module.exports = mongoose.model('Line', lineSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const otpCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'phone_verification', 'email_verification'],
+    required: [true, 'Purpose is required']
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    required: [true, 'Channel is required']
+  },
+  destination: {
+    type: String, // email address or phone number the code was sent to
+    required: [true, 'Destination is required']
+  },
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for looking up a user's active code
+otpCodeSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+
+// Let MongoDB purge expired codes
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const getExpireMinutes = () => parseInt(process.env.OTP_EXPIRE_MINUTES) || 10;
+
+const getMaxAttempts = () => parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+
+// Static method to issue a new code, replacing any code still outstanding
+// for the same purpose. Returns the document and the plain code to send.
+otpCodeSchema.statics.issue = async function(userId, purpose, { channel, destination }) {
+  await this.updateMany(
+    { user: userId, purpose, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  const otp = await this.create({
+    user: userId,
+    purpose,
+    channel,
+    destination,
+    codeHash: hashCode(code),
+    expiresAt: new Date(Date.now() + getExpireMinutes() * 60 * 1000)
+  });
+
+  return { otp, code };
+};
+
+// Static method to check and consume a code. Each wrong guess counts
+// against the code, which stops working after OTP_MAX_ATTEMPTS.
+otpCodeSchema.statics.consume = async function(userId, purpose, code) {
+  const otp = await this.findOne({
+    user: userId,
+    purpose,
+    consumedAt: null,
+    expiresAt: { $gt: new Date() },
+    attempts: { $lt: getMaxAttempts() }
+  }).select('+codeHash').sort({ createdAt: -1 });
+
+  if (!otp) {
+    return null;
+  }
+
+  const presented = Buffer.from(hashCode(String(code)));
+  const expected = Buffer.from(otp.codeHash);
+
+  if (!crypto.timingSafeEqual(presented, expected)) {
+    await this.updateOne({ _id: otp._id }, { $inc: { attempts: 1 } });
+    return null;
+  }
+
+  // Conditional update so a code can only be consumed once
+  const { modifiedCount } = await this.updateOne(
+    { _id: otp._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+
+  return modifiedCount ? otp : null;
+};
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
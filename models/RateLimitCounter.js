@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB purge counters whose window has passed
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to count a hit in the current window, starting a new window
+// when the previous one has passed
+rateLimitCounterSchema.statics.hit = async function(key, windowMs) {
+  const now = new Date();
+
+  const counter = await this.findOneAndUpdate(
+    { key, resetAt: { $gt: now } },
+    { $inc: { count: 1 } },
+    { new: true }
+  );
+
+  if (counter) {
+    return counter;
+  }
+
+  try {
+    return await this.findOneAndUpdate(
+      { key, resetAt: { $lte: now } },
+      { $set: { count: 1, resetAt: new Date(now.getTime() + windowMs) } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Another request started the window first
+    if (error.code === 11000) {
+      return this.findOneAndUpdate({ key }, { $inc: { count: 1 } }, { new: true });
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const Line = require('./Line');
+const { getServiceDays, formatMinutes, toMinutes } = require('../utils/serviceCalendar');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+const headwayBandSchema = new mongoose.Schema({
+  start: {
+    type: String, // HH:MM, inclusive
+    required: [true, 'Band start time is required'],
+    match: [TIME_PATTERN, 'Times must be in HH:MM format']
+  },
+  end: {
+    type: String, // HH:MM, exclusive
+    required: [true, 'Band end time is required'],
+    match: [TIME_PATTERN, 'Times must be in HH:MM format']
+  },
+  minutes: {
+    type: Number,
+    required: [true, 'Headway is required'],
+    min: [1, 'Headway must be at least 1 minute']
+  }
+}, {
+  _id: false
+});
+
+const servicePatternSchema = new mongoose.Schema({
+  line: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Line',
+    required: [true, 'Line is required']
+  },
+  direction: {
+    type: String,
+    enum: ['forward', 'reverse'], // forward runs in the line's station order
+    required: [true, 'Direction is required']
+  },
+  calendar: {
+    type: String,
+    enum: ['weekday', 'weekend', 'holiday'],
+    required: [true, 'Calendar is required']
+  },
+  firstTrain: {
+    type: String, // departure from the origin terminus, HH:MM
+    required: [true, 'First train time is required'],
+    match: [TIME_PATTERN, 'Times must be in HH:MM format']
+  },
+  lastTrain: {
+    type: String, // last departure from the origin terminus, HH:MM; earlier than firstTrain when service runs past midnight
+    required: [true, 'Last train time is required'],
+    match: [TIME_PATTERN, 'Times must be in HH:MM format']
+  },
+  headways: {
+    type: [headwayBandSchema],
+    default: []
+  },
+  defaultHeadway: {
+    type: Number, // minutes between trains outside every band
+    required: [true, 'Default headway is required'],
+    min: [1, 'Headway must be at least 1 minute']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// One pattern per line, direction and calendar
+servicePatternSchema.index({ line: 1, direction: 1, calendar: 1 }, { unique: true });
+
+// Method to get the departure times from the origin terminus, in minutes after
+// the service day's midnight. Trains after midnight run past 24:00 (e.g. 1470
+// for 00:30 the next morning).
+servicePatternSchema.methods.getTerminusDepartures = function() {
+  const bands = this.headways.map(band => ({
+    start: toMinutes(band.start),
+    end: toMinutes(band.end),
+    minutes: band.minutes
+  }));
+  const first = toMinutes(this.firstTrain);
+  let last = toMinutes(this.lastTrain);
+  const departures = [];
+
+  if (last < first) {
+    last += MINUTES_PER_DAY;
+  }
+
+  for (let time = first; time <= last;) {
+    departures.push(time);
+
+    const clock = time % MINUTES_PER_DAY;
+    const band = bands.find(b => clock >= b.start && clock < b.end);
+    time += band ? band.minutes : this.defaultHeadway;
+  }
+
+  return departures;
+};
+
+// Minutes from the origin terminus to a stop in a direction, or null when
+// trains in that direction end at the stop
+const getStopOffset = (stops, index, direction) => {
+  const totalTime = stops[stops.length - 1].travelTimeFromStart;
+
+  if (direction === 'forward') {
+    return index === stops.length - 1 ? null : stops[index].travelTimeFromStart;
+  }
+
+  return index === 0 ? null : totalTime - stops[index].travelTimeFromStart;
+};
+
+// Departures from a stop for one line and direction over the given service
+// days, in time order. Days without a pattern for their calendar add nothing.
+const getStopDepartures = (patterns, lineId, direction, offset, serviceDays) => serviceDays
+  .flatMap((day) => {
+    const pattern = patterns.find(p =>
+      p.line.equals(lineId) && p.direction === direction && p.calendar === day.calendar
+    );
+
+    if (!pattern) {
+      return [];
+    }
+
+    return pattern.getTerminusDepartures().map(minutes => ({
+      time: formatMinutes(minutes + offset),
+      departsAt: new Date(day.start.getTime() + (minutes + offset) * 60 * 1000),
+      serviceDate: day.date,
+      calendar: day.calendar
+    }));
+  })
+  .sort((a, b) => a.departsAt - b.departsAt);
+
+// Static method to get the next departures from a station for every line and
+// direction serving it. Late trains from the previous service day and the
+// first trains of the next one are included.
+servicePatternSchema.statics.getDepartures = async function(stationId, { at = new Date(), limit = 3 } = {}) {
+  const lines = await Line.find({ 'stations.station': stationId, isActive: true })
+    .populate('stations.station', 'name code');
+  const patterns = await this.find({ line: { $in: lines.map(line => line._id) }, isActive: true });
+  const serviceDays = getServiceDays(at, 3, -1);
+  const results = [];
+
+  for (const line of lines) {
+    const stops = line.getStops();
+    const index = stops.findIndex(stop => stop.station && stop.station._id.equals(stationId));
+
+    for (const direction of ['forward', 'reverse']) {
+      const offset = getStopOffset(stops, index, direction);
+
+      // Trains end here in this direction
+      if (offset === null) {
+        continue;
+      }
+
+      const departures = getStopDepartures(patterns, line._id, direction, offset, serviceDays)
+        .filter(departure => departure.departsAt >= at)
+        .slice(0, limit)
+        .map(departure => ({
+          ...departure,
+          minutesAway: Math.round((departure.departsAt - at) / 60000)
+        }));
+
+      results.push({
+        line: { _id: line._id, name: line.name, code: line.code, color: line.color },
+        direction,
+        towards: direction === 'forward' ? stops[stops.length - 1].station : stops[0].station,
+        departures
+      });
+    }
+  }
+
+  return results;
+};
+
+// Static method to check whether trains still run today from one station
+// towards another. Only the lines and directions linking the two stations
+// count (any direction from the origin when no single line does). Returns
+// { running: true } while a train is still to leave today - or when there is
+// no timetable for today - and otherwise { running: false, resumesAt } with
+// the first departure of the next service day (null if none).
+servicePatternSchema.statics.getServiceStatus = async function(fromStationId, toStationId, at = new Date()) {
+  const lines = await Line.find({ 'stations.station': fromStationId, isActive: true });
+  const patterns = await this.find({ line: { $in: lines.map(line => line._id) }, isActive: true });
+  const [yesterday, today, tomorrow] = getServiceDays(at, 3, -1);
+
+  const stationIndex = (stops, stationId) => stops.findIndex(stop => stop.station.equals(stationId));
+  const routes = lines.flatMap((line) => {
+    const stops = line.getStops();
+    const from = stationIndex(stops, fromStationId);
+    const to = stationIndex(stops, toStationId);
+    const directions = to === -1 ? ['forward', 'reverse'] : [to > from ? 'forward' : 'reverse'];
+
+    return directions
+      .map(direction => ({ line, direction, offset: getStopOffset(stops, from, direction), direct: to !== -1 }))
+      .filter(route => route.offset !== null);
+  });
+  const direct = routes.filter(route => route.direct);
+  let resumesAt = null;
+
+  for (const { line, direction, offset } of direct.length > 0 ? direct : routes) {
+    const hasTimetable = patterns.some(p =>
+      p.line.equals(line._id) && p.direction === direction && p.calendar === today.calendar
+    );
+
+    if (!hasTimetable) {
+      return { running: true };
+    }
+
+    const remaining = getStopDepartures(patterns, line._id, direction, offset, [yesterday, today])
+      .filter(departure => departure.departsAt >= at);
+
+    if (remaining.length > 0) {
+      return { running: true };
+    }
+
+    const [next] = getStopDepartures(patterns, line._id, direction, offset, [tomorrow]);
+
+    if (next && (!resumesAt || next.departsAt < resumesAt.departsAt)) {
+      resumesAt = next;
+    }
+  }
+
+  return routes.length === 0 ? { running: true } : { running: false, resumesAt };
+};
+
+module.exports = mongoose.model('ServicePattern', servicePatternSchema);
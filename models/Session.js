@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHash: {
+    type: String, // last rotated-out refresh token, to detect reuse
+    default: null,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    maxlength: [300, 'User agent cannot exceed 300 characters'],
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'token_reuse', 'password_change', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing a user's sessions
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB purge expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Refresh tokens are "<session id>.<secret>"; only the secret's hash is stored
+const issueRefreshToken = (session) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  session.refreshTokenHash = hashToken(secret);
+  return `${session._id}.${secret}`;
+};
+
+// Check if the session can still be used
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke the session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to start a session for a user, returning it with its refresh token
+sessionSchema.statics.start = async function(userId, { userAgent, ipAddress } = {}) {
+  const session = new this({
+    user: userId,
+    userAgent: userAgent ? userAgent.substring(0, 300) : null,
+    ipAddress,
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000)
+  });
+  const refreshToken = issueRefreshToken(session);
+
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Static method to exchange a refresh token for a new one (rotation).
+// The swap is a single conditional update on the current token hash, so two
+// requests racing with the same token cannot both rotate it. Presenting an
+// already rotated token means it leaked, so the whole session is revoked.
+// Returns null when the token is invalid.
+sessionSchema.statics.rotate = async function(refreshToken) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+
+  const presentedHash = hashToken(secret);
+  const newSecret = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  const session = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newSecret),
+        previousTokenHash: presentedHash,
+        lastUsedAt: now
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A rotated-out token (replayed, or the loser of a concurrent refresh)
+    await this.updateOne(
+      { _id: sessionId, previousTokenHash: presentedHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+    );
+    return null;
+  }
+
+  return { session, refreshToken: `${session._id}.${newSecret}` };
+};
+
+// Static method to revoke all of a user's active sessions, optionally keeping one
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const { modifiedCount } = await this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  return modifiedCount;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
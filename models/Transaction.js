@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const transactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: ['deposit', 'trip_debit', 'refund', 'adjustment'],
+    required: [true, 'Transaction type is required']
+  },
+  direction: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: [true, 'Transaction direction is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  balanceAfter: {
+    type: Number,
+    required: [true, 'Balance after transaction is required']
+  },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    default: null
+  },
+  paymentMethod: {
+    type: String,
+    default: null
+  },
+  reference: {
+    type: String, // external payment reference, e.g. gateway transaction ID
+    trim: true,
+    default: null
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for user ledger queries
+transactionSchema.index({ user: 1, createdAt: -1 });
+
+// Index for finding the ledger entry of a reference, e.g. a balance adjustment
+transactionSchema.index(
+  { type: 1, reference: 1 },
+  { partialFilterExpression: { reference: { $type: 'string' } } }
+);
+
+// A trip can be debited (or refunded) at most once
+transactionSchema.index(
+  { trip: 1, type: 1 },
+  { unique: true, partialFilterExpression: { trip: { $type: 'objectId' } } }
+);
+
+// Static method to record a ledger entry for a balance change
+transactionSchema.statics.record = function(user, direction, amount, details = {}) {
+  return this.create({
+    user: user._id,
+    type: details.type,
+    direction,
+    amount,
+    balanceAfter: user.balance,
+    trip: details.trip,
+    paymentMethod: details.paymentMethod,
+    reference: details.reference,
+    performedBy: details.performedBy,
+    description: details.description
+  });
+};
+
+// Static method to get user's transaction history
+transactionSchema.statics.getUserTransactions = async function(userId, filters = {}, page = 1, limit = 20) {
+  const skip = (page - 1) * limit;
+  const query = { user: userId };
+
+  if (filters.type) {
+    query.type = filters.type;
+  }
+
+  if (filters.startDate || filters.endDate) {
+    query.createdAt = {};
+    if (filters.startDate) query.createdAt.$gte = filters.startDate;
+    if (filters.endDate) query.createdAt.$lte = filters.endDate;
+  }
+
+  const transactions = await this.find(query)
+    .populate('trip', 'tripCode')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await this.countDocuments(query);
+
+  return {
+    transactions,
+    total,
+    page,
+    totalPages: Math.ceil(total / limit)
+  };
+};
+
+module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
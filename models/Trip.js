@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const User = require('./User');
+const Transaction = require('./Transaction');
+
+// Maximum time a passenger may spend inside the network on one journey
+const getMaxJourneyMinutes = () => parseInt(process.env.MAX_JOURNEY_MINUTES) || 120;
 
 const tripSchema = new mongoose.Schema({
   tripCode: {
@@ -28,6 +33,16 @@ const tripSchema = new mongoose.Schema({
     required: [true, 'Fare is required'],
     min: [0, 'Fare cannot be negative']
   },
+  fareType: {
+    type: String,
+    enum: ['regular', 'peak', 'off-peak', 'student', 'senior'],
+    default: 'regular'
+  },
+  fareSource: {
+    type: String, // 'pair' for a direct fare, 'zone' for a zone rule, 'route' for a multi-hop route
+    enum: ['pair', 'zone', 'route'],
+    default: 'pair'
+  },
   numberOfPassengers: {
     type: Number,
     required: [true, 'Number of passengers is required'],
@@ -56,6 +71,30 @@ const tripSchema = new mongoose.Schema({
       return new Date(Date.now() + 24 * 60 * 60 * 1000);
     }
   },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancellationFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cancellation fee cannot be negative']
+  },
+  refundAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refund amount cannot be negative']
+  },
+  entryDevice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    default: null
+  },
+  entryStation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    default: null
+  },
   journeyStartTime: {
     type: Date,
     default: null
@@ -64,6 +103,29 @@ const tripSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  exitDevice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    default: null
+  },
+  exitStation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    default: null
+  },
+  exitStationMismatch: {
+    type: Boolean,
+    default: false
+  },
+  excessFare: {
+    type: Number, // fare owed for travelling beyond the paid destination
+    default: 0,
+    min: [0, 'Excess fare cannot be negative']
+  },
+  isOverstay: {
+    type: Boolean,
+    default: false
+  },
   paymentMethod: {
     type: String,
     enum: ['balance', 'cash', 'card'],
@@ -71,7 +133,7 @@ const tripSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
+    enum: ['pending', 'completed', 'failed', 'refunded'],
     default: 'pending'
   },
   notes: {
@@ -91,34 +153,127 @@ tripSchema.index({ user: 1, createdAt: -1 });
 // Index for status queries
 tripSchema.index({ status: 1, expiresAt: 1 });
 
-// Method to use trip
-tripSchema.methods.useTrip = function() {
+// Indexes for operations analytics
+tripSchema.index({ journeyStartTime: 1 });
+tripSchema.index({ createdAt: 1, paymentStatus: 1 });
+
+// Method to use trip (records the gate device and station that accepted it).
+// The status change is conditional on the trip still being unused and valid,
+// so a ticket cancelled meanwhile, or scanned at two gates at once, is only
+// accepted once.
+tripSchema.methods.useTrip = async function(device = null) {
   if (this.status !== 'created') {
     throw new Error('Trip cannot be used. Status: ' + this.status);
   }
   
-  if (this.expiresAt < new Date()) {
+  const now = new Date();
+
+  if (this.expiresAt < now) {
     this.status = 'expired';
     throw new Error('Trip has expired');
   }
   
-  this.status = 'used';
-  this.usedAt = new Date();
-  this.journeyStartTime = new Date();
-  
-  return this.save();
+  const update = {
+    status: 'used',
+    usedAt: now,
+    journeyStartTime: now
+  };
+
+  if (device) {
+    update.entryDevice = device._id;
+    update.entryStation = device.station._id || device.station;
+  }
+
+  const usedTrip = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'created', expiresAt: { $gt: now } },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!usedTrip) {
+    throw new Error('Trip has already been used or cancelled');
+  }
+
+  this.set(update);
+  return this;
 };
 
-// Method to complete journey
-tripSchema.methods.completeJourney = function() {
+// Method to complete journey. Exit gates pass the device and the excess fare
+// owed; journeys longer than the maximum journey time are flagged as overstays.
+tripSchema.methods.completeJourney = function(exit = {}) {
   if (this.status !== 'used') {
     throw new Error('Journey cannot be completed. Trip status: ' + this.status);
   }
-  
+
+  if (this.journeyEndTime) {
+    throw new Error('Journey has already been completed');
+  }
+
   this.journeyEndTime = new Date();
+
+  if (exit.device) {
+    this.exitDevice = exit.device._id;
+    this.exitStation = exit.device.station._id || exit.device.station;
+    this.exitStationMismatch = this.exitStation.toString() !== (this.toStation._id || this.toStation).toString();
+    this.excessFare = exit.excessFare || 0;
+  }
+
+  const journeyMinutes = (this.journeyEndTime - this.journeyStartTime) / (60 * 1000);
+  if (journeyMinutes > getMaxJourneyMinutes()) {
+    this.isOverstay = true;
+  }
+
   return this.save();
 };
 
+// Method to cancel an unused trip. The status change is conditional on the
+// trip still being 'created', so a trip can only ever be cancelled once.
+tripSchema.methods.cancelTrip = async function(cancellationFee = 0) {
+  if (this.status !== 'created') {
+    throw new Error('Trip cannot be cancelled. Status: ' + this.status);
+  }
+
+  if (this.expiresAt < new Date()) {
+    throw new Error('Trip has expired');
+  }
+
+  // Only money actually taken from the wallet goes back to it
+  const isBalanceRefund = this.paymentMethod === 'balance' && this.paymentStatus === 'completed';
+  const fee = isBalanceRefund ? Math.min(cancellationFee, this.totalAmount) : 0;
+  const update = {
+    status: 'cancelled',
+    cancelledAt: new Date(),
+    cancellationFee: fee,
+    refundAmount: isBalanceRefund ? this.totalAmount - fee : 0
+  };
+
+  if (isBalanceRefund) {
+    update.paymentStatus = 'refunded';
+  }
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, status: 'created' },
+    { $set: update }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new Error('Trip has already been used or cancelled');
+  }
+
+  this.set(update);
+  return this;
+};
+
+// Method to check whether a refunded trip is still owed its wallet credit,
+// e.g. because crediting failed after the trip was cancelled
+tripSchema.methods.isRefundOutstanding = async function() {
+  if (this.paymentStatus !== 'refunded' || this.refundAmount <= 0) {
+    return false;
+  }
+
+  return !(await Transaction.exists({ trip: this._id, type: 'refund' }));
+};
+
 // Static method to get valid trip by code
 tripSchema.statics.getValidTrip = async function(tripCode) {
   const trip = await this.findOne({
@@ -164,4 +319,212 @@ tripSchema.statics.getUnusedTrips = async function(userId) {
     .sort({ createdAt: -1 });
 };
 
+// Static method to expire unused trips past their expiry time.
+// With refund enabled, expired trips paid from the wallet are credited back.
+// Trips are marked refunded before the wallet is credited, so every sweep
+// also credits refunded trips with no refund in the ledger - a credit that
+// failed in an earlier sweep is paid by the next one, and never twice.
+tripSchema.statics.expireStaleTrips = async function({ refund = false } = {}) {
+  const now = new Date();
+  const stale = { status: 'created', expiresAt: { $lte: now } };
+  const result = { expired: 0, refunded: 0, refundedAmount: 0 };
+
+  if (refund) {
+    const refundable = await this.find({ ...stale, paymentMethod: 'balance', paymentStatus: 'completed' });
+
+    for (const trip of refundable) {
+      // Conditional update so a trip used or cancelled meanwhile is left alone
+      const expiredTrip = await this.findOneAndUpdate(
+        { _id: trip._id, status: 'created' },
+        { $set: { status: 'expired', paymentStatus: 'refunded', refundAmount: trip.totalAmount } },
+        { new: true }
+      );
+
+      if (expiredTrip) {
+        result.expired += 1;
+      }
+    }
+
+    const owed = await this.aggregate([
+      { $match: { status: 'expired', paymentStatus: 'refunded', refundAmount: { $gt: 0 } } },
+      { $lookup: { from: Transaction.collection.name, localField: '_id', foreignField: 'trip', as: 'ledger' } },
+      { $match: { 'ledger.type': { $ne: 'refund' } } }
+    ]);
+
+    for (const trip of owed) {
+      await User.creditBalance(trip.user, trip.refundAmount, {
+        type: 'refund',
+        trip: trip._id,
+        paymentMethod: trip.paymentMethod,
+        description: `Refund for expired trip ${trip.tripCode}`
+      });
+
+      result.refunded += 1;
+      result.refundedAmount += trip.refundAmount;
+    }
+  }
+
+  const { modifiedCount } = await this.updateMany(stale, { $set: { status: 'expired' } });
+  result.expired += modifiedCount;
+
+  return result;
+};
+
+// Static method to flag journeys still open past the maximum journey time
+tripSchema.statics.flagOverstays = async function() {
+  const cutoff = new Date(Date.now() - getMaxJourneyMinutes() * 60 * 1000);
+
+  const { modifiedCount } = await this.updateMany({
+    status: 'used',
+    journeyEndTime: null,
+    journeyStartTime: { $lte: cutoff },
+    isOverstay: false
+  }, {
+    $set: { isOverstay: true }
+  });
+
+  return modifiedCount;
+};
+
+// Paid trips, net of refunds, count towards revenue. Cash and card trips stay
+// 'pending' until their payment is confirmed, so they are left out until then.
+const PAID_STATUSES = ['completed', 'refunded'];
+
+const netRevenue = { $subtract: ['$totalAmount', { $ifNull: ['$refundAmount', 0] }] };
+
+const getAnalyticsTimezone = () => process.env.FARE_TIMEZONE || 'UTC';
+
+// Static method to count gate entries per station per day or hour.
+// Filters: startDate, endDate and optional stations (entry station IDs).
+tripSchema.statics.getRidership = function({ startDate, endDate, stations, interval = 'daily' }) {
+  const entryStation = { $ifNull: ['$entryStation', '$fromStation'] };
+  const match = { journeyStartTime: { $gte: startDate, $lte: endDate } };
+
+  if (stations) {
+    match.$expr = { $in: [entryStation, stations] };
+  }
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          station: entryStation,
+          period: {
+            $dateToString: {
+              date: '$journeyStartTime',
+              format: interval === 'hourly' ? '%Y-%m-%dT%H:00' : '%Y-%m-%d',
+              timezone: getAnalyticsTimezone()
+            }
+          }
+        },
+        entries: { $sum: '$numberOfPassengers' },
+        trips: { $sum: 1 }
+      }
+    },
+    { $lookup: { from: 'stations', localField: '_id.station', foreignField: '_id', as: 'station' } },
+    { $unwind: '$station' },
+    {
+      $project: {
+        _id: 0,
+        period: '$_id.period',
+        stationId: '$station._id',
+        stationCode: '$station.code',
+        stationName: '$station.name',
+        zone: '$station.zone',
+        entries: 1,
+        trips: 1
+      }
+    },
+    { $sort: { period: 1, stationName: 1 } }
+  ]);
+};
+
+// Static method to total revenue (net of refunds) by payment method and fare type.
+// Filters: startDate, endDate (purchase time) and optional stations (origin IDs).
+tripSchema.statics.getRevenue = function({ startDate, endDate, stations }) {
+  const match = {
+    createdAt: { $gte: startDate, $lte: endDate },
+    paymentStatus: { $in: PAID_STATUSES }
+  };
+
+  if (stations) {
+    match.fromStation = { $in: stations };
+  }
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { paymentMethod: '$paymentMethod', fareType: { $ifNull: ['$fareType', 'regular'] } },
+        trips: { $sum: 1 },
+        passengers: { $sum: '$numberOfPassengers' },
+        grossRevenue: { $sum: '$totalAmount' },
+        refunds: { $sum: { $ifNull: ['$refundAmount', 0] } },
+        revenue: { $sum: netRevenue }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        paymentMethod: '$_id.paymentMethod',
+        fareType: '$_id.fareType',
+        trips: 1,
+        passengers: 1,
+        grossRevenue: 1,
+        refunds: 1,
+        revenue: 1
+      }
+    },
+    { $sort: { revenue: -1 } }
+  ]);
+};
+
+// Static method to rank origin-destination pairs by passengers.
+// Filters: startDate, endDate (purchase time) and optional stations (pairs
+// starting or ending at one of them).
+tripSchema.statics.getOriginDestination = function({ startDate, endDate, stations }, limit = 20) {
+  const match = {
+    createdAt: { $gte: startDate, $lte: endDate },
+    status: { $ne: 'cancelled' },
+    paymentStatus: { $in: PAID_STATUSES }
+  };
+
+  if (stations) {
+    match.$or = [{ fromStation: { $in: stations } }, { toStation: { $in: stations } }];
+  }
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { from: '$fromStation', to: '$toStation' },
+        trips: { $sum: 1 },
+        passengers: { $sum: '$numberOfPassengers' },
+        revenue: { $sum: netRevenue }
+      }
+    },
+    { $sort: { passengers: -1, trips: -1 } },
+    { $limit: limit },
+    { $lookup: { from: 'stations', localField: '_id.from', foreignField: '_id', as: 'from' } },
+    { $lookup: { from: 'stations', localField: '_id.to', foreignField: '_id', as: 'to' } },
+    { $unwind: '$from' },
+    { $unwind: '$to' },
+    {
+      $project: {
+        _id: 0,
+        fromStationId: '$from._id',
+        fromCode: '$from.code',
+        fromName: '$from.name',
+        toStationId: '$to._id',
+        toCode: '$to.code',
+        toName: '$to.name',
+        trips: 1,
+        passengers: 1,
+        revenue: 1
+      }
+    }
+  ]);
+};
+
 module.exports = mongoose.model('Trip', tripSchema); 
\ No newline at end of file
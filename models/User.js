@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Transaction = require('./Transaction');
+const { ROLES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   fullName: {
@@ -28,6 +30,14 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
   photo: {
     type: String,
     default: null
@@ -47,7 +57,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   isActive: {
@@ -57,6 +67,39 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
     default: null
+  },
+  concession: {
+    category: {
+      type: String,
+      enum: ['student', 'senior'],
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'verified', 'rejected'],
+      default: 'none'
+    },
+    documentUrl: {
+      type: String, // proof of eligibility, e.g. student ID or national ID scan
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    reviewNotes: {
+      type: String,
+      maxlength: [200, 'Review notes cannot exceed 200 characters']
+    }
   }
 }, {
   timestamps: true
@@ -77,11 +120,31 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Changed contact details have to be verified again
+userSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    if (this.isModified('phoneNumber')) this.phoneVerified = false;
+    if (this.isModified('email')) this.emailVerified = false;
+  }
+
+  next();
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check if the user is verified for a concession category that has not expired
+userSchema.methods.hasVerifiedConcession = function(category) {
+  const { concession } = this;
+
+  return Boolean(concession) &&
+    concession.category === category &&
+    concession.status === 'verified' &&
+    concession.expiresAt > new Date();
+};
+
 // Update trip statistics
 userSchema.methods.updateTripStats = function(tripFare) {
   this.totalTrips += 1;
@@ -89,19 +152,95 @@ userSchema.methods.updateTripStats = function(tripFare) {
   return this.save();
 };
 
+// Apply a balance change with a single atomic $inc and record it in the ledger.
+// Changes tied to a trip are applied at most once per trip and type, so
+// retrying a failed purchase or refund never double-charges or double-credits.
+const applyBalanceChange = async (User, userId, direction, amount, details) => {
+  if (details.trip) {
+    const alreadyApplied = await Transaction.exists({
+      trip: details.trip,
+      type: details.type
+    });
+
+    if (alreadyApplied) {
+      return await User.findById(userId);
+    }
+  }
+
+  const delta = direction === 'credit' ? amount : -amount;
+  const condition = direction === 'credit' ? { _id: userId } : { _id: userId, balance: { $gte: amount } };
+
+  const user = await User.findOneAndUpdate(
+    condition,
+    { $inc: { balance: delta } },
+    { new: true }
+  );
+
+  if (!user) {
+    return null;
+  }
+
+  try {
+    await Transaction.record(user, direction, amount, details);
+  } catch (error) {
+    // Undo the change so a failed ledger write never leaves an unrecorded balance change
+    const reverted = await User.findOneAndUpdate(
+      { _id: userId },
+      { $inc: { balance: -delta } },
+      { new: true }
+    );
+
+    // A concurrent request for the same trip won the race and already applied it
+    if (error.code === 11000) {
+      return reverted;
+    }
+    throw error;
+  }
+
+  return user;
+};
+
+// Atomically credit a user's balance and record a ledger entry
+userSchema.statics.creditBalance = function(userId, amount, details = {}) {
+  return applyBalanceChange(this, userId, 'credit', amount, {
+    ...details,
+    type: details.type || 'deposit'
+  });
+};
+
+// Atomically debit a user's balance and record a ledger entry.
+// The balance check and the decrement happen in a single conditional update,
+// so concurrent debits can never take the balance below zero. Returns null
+// when the balance is insufficient.
+userSchema.statics.debitBalance = function(userId, amount, details = {}) {
+  return applyBalanceChange(this, userId, 'debit', amount, {
+    ...details,
+    type: details.type || 'trip_debit'
+  });
+};
+
 // Add balance method
-userSchema.methods.addBalance = function(amount) {
-  this.balance += amount;
-  return this.save();
+userSchema.methods.addBalance = async function(amount, details = {}) {
+  const user = await this.constructor.creditBalance(this._id, amount, details);
+
+  this.balance = user.balance;
+  this.unmarkModified('balance');
+
+  return this;
 };
 
 // Deduct balance method
-userSchema.methods.deductBalance = function(amount) {
-  if (this.balance < amount) {
+userSchema.methods.deductBalance = async function(amount, details = {}) {
+  const user = await this.constructor.debitBalance(this._id, amount, details);
+
+  if (!user) {
     throw new Error('Insufficient balance');
   }
-  this.balance -= amount;
-  return this.save();
+
+  this.balance = user.balance;
+  this.unmarkModified('balance');
+
+  return this;
 };
 
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
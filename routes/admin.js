@@ -0,0 +1,228 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const asyncHandler = require('../utils/asyncHandler');
+const { successResponse, errorResponse, paginatedResponse } = require('../utils/responseHandler');
+const { protect, requirePermission } = require('../middleware/auth');
+const { toCsv } = require('../utils/csv');
+const AuditLog = require('../models/AuditLog');
+const Station = require('../models/Station');
+const Trip = require('../models/Trip');
+
+const router = express.Router();
+
+// Resolve the date range (last 7 days by default) and zone filter shared by analytics reports
+const getAnalyticsFilters = async (req) => {
+  const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+  const startDate = req.query.startDate
+    ? new Date(req.query.startDate)
+    : new Date(endDate.getTime() - 7 * 24 * 60 * 60 * 1000);
+  const filters = { startDate, endDate };
+
+  if (req.query.zone) {
+    filters.stations = await Station.find({ zone: req.query.zone }).distinct('_id');
+  }
+
+  return filters;
+};
+
+// Send a report as JSON, or as a CSV download when ?format=csv
+const sendReport = (req, res, { name, rows, columns, data, message }) => {
+  if (req.query.format === 'csv') {
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="${name}.csv"`);
+    return res.status(200).send(toCsv(rows, columns));
+  }
+
+  successResponse(res, data, message);
+};
+
+// @desc    Search the audit log
+// @route   GET /api/admin/audit
+// @access  Private (audit:read)
+const getAuditLog = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const { actor, action, targetType, targetId, startDate, endDate } = req.query;
+
+  const filters = {
+    actor,
+    action,
+    targetType,
+    targetId,
+    startDate: startDate ? new Date(startDate) : undefined,
+    endDate: endDate ? new Date(endDate) : undefined
+  };
+
+  const { entries, total } = await AuditLog.search(filters, page, limit);
+
+  paginatedResponse(res, entries, page, limit, total, 'Audit log retrieved successfully');
+});
+
+// @desc    Gate entries per station per day or hour
+// @route   GET /api/admin/analytics/ridership
+// @access  Private (analytics:read)
+const getRidership = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { interval = 'daily' } = req.query;
+  const filters = await getAnalyticsFilters(req);
+
+  const rows = await Trip.getRidership({ ...filters, interval });
+  const totalEntries = rows.reduce((sum, row) => sum + row.entries, 0);
+
+  sendReport(req, res, {
+    name: `ridership-${interval}`,
+    rows,
+    columns: ['period', 'stationCode', 'stationName', 'zone', 'entries', 'trips'],
+    data: {
+      startDate: filters.startDate,
+      endDate: filters.endDate,
+      interval,
+      totalEntries,
+      ridership: rows
+    },
+    message: 'Ridership retrieved successfully'
+  });
+});
+
+// @desc    Revenue by payment method and fare type
+// @route   GET /api/admin/analytics/revenue
+// @access  Private (analytics:read)
+const getRevenue = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const filters = await getAnalyticsFilters(req);
+
+  const rows = await Trip.getRevenue(filters);
+
+  // Roll the breakdown up into per-method and per-fare-type totals
+  const totalBy = (field) => rows.reduce((totals, row) => {
+    totals[row[field]] = (totals[row[field]] || 0) + row.revenue;
+    return totals;
+  }, {});
+
+  sendReport(req, res, {
+    name: 'revenue',
+    rows,
+    columns: ['paymentMethod', 'fareType', 'trips', 'passengers', 'grossRevenue', 'refunds', 'revenue'],
+    data: {
+      startDate: filters.startDate,
+      endDate: filters.endDate,
+      totalRevenue: rows.reduce((sum, row) => sum + row.revenue, 0),
+      byPaymentMethod: totalBy('paymentMethod'),
+      byFareType: totalBy('fareType'),
+      breakdown: rows
+    },
+    message: 'Revenue retrieved successfully'
+  });
+});
+
+// @desc    Top origin-destination pairs
+// @route   GET /api/admin/analytics/od-matrix
+// @access  Private (analytics:read)
+const getOriginDestinationMatrix = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const limit = parseInt(req.query.limit) || 20;
+  const filters = await getAnalyticsFilters(req);
+
+  const pairs = await Trip.getOriginDestination(filters, limit);
+
+  // Square matrix of passengers over the stations that appear in the top pairs
+  const stations = [...new Set(pairs.flatMap(pair => [pair.fromCode, pair.toCode]))].sort();
+  const matrix = stations.map(from => stations.map(to => {
+    const pair = pairs.find(p => p.fromCode === from && p.toCode === to);
+    return pair ? pair.passengers : 0;
+  }));
+
+  sendReport(req, res, {
+    name: 'od-matrix',
+    rows: pairs,
+    columns: ['fromCode', 'fromName', 'toCode', 'toName', 'trips', 'passengers', 'revenue'],
+    data: {
+      startDate: filters.startDate,
+      endDate: filters.endDate,
+      pairs,
+      matrix: { stations, passengers: matrix }
+    },
+    message: 'Origin-destination matrix retrieved successfully'
+  });
+});
+
+// Validation middleware
+const auditQueryValidation = [
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID'),
+  query('targetId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid target ID'),
+  query('targetType')
+    .optional()
+    .isIn(['User', 'Fare', 'FareRule', 'Station', 'Line', 'ServicePattern', 'Device', 'BalanceAdjustment'])
+    .withMessage('Invalid target type'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid end date')
+];
+
+const analyticsQueryValidation = [
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid end date'),
+  query('zone')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Zone cannot be empty'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv'),
+  query('interval')
+    .optional()
+    .isIn(['daily', 'hourly'])
+    .withMessage('Interval must be daily or hourly'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Routes
+router.get('/audit', protect, requirePermission('audit:read'), auditQueryValidation, getAuditLog);
+router.get('/analytics/ridership', protect, requirePermission('analytics:read'), analyticsQueryValidation, getRidership);
+router.get('/analytics/revenue', protect, requirePermission('analytics:read'), analyticsQueryValidation, getRevenue);
+router.get('/analytics/od-matrix', protect, requirePermission('analytics:read'), analyticsQueryValidation, getOriginDestinationMatrix);
+
+module.exports = router;
@@ -2,11 +2,39 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const asyncHandler = require('../utils/asyncHandler');
 const { successResponse, errorResponse } = require('../utils/responseHandler');
-const { generateToken, protect } = require('../middleware/auth');
+const { generateToken, issueTokens, protect } = require('../middleware/auth');
+const { authLimiter, loginAccountLimiter, loginLockout, tooManyRequests } = require('../middleware/rateLimit');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const OtpCode = require('../models/OtpCode');
+const { sendNotification } = require('../utils/notifier');
+const { getPermissions } = require('../utils/permissions');
 
 const router = express.Router();
 
+const VERIFICATION_PURPOSES = {
+  phone: 'phone_verification',
+  email: 'email_verification'
+};
+
+// Issue a verification code for the user's phone number or email and send it
+const sendVerificationCode = async (user, channel) => {
+  const destination = channel === 'phone' ? user.phoneNumber : user.email;
+
+  const { code } = await OtpCode.issue(user._id, VERIFICATION_PURPOSES[channel], {
+    channel: channel === 'phone' ? 'sms' : 'email',
+    destination
+  });
+
+  await sendNotification({
+    channel: channel === 'phone' ? 'sms' : 'email',
+    to: destination,
+    subject: `Verify your ${channel === 'phone' ? 'phone number' : 'email'}`,
+    message: `Your ${process.env.APP_NAME || 'Metro Rapid Pass'} verification code is ${code}.`,
+    code
+  });
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -36,25 +64,37 @@ const register = asyncHandler(async (req, res) => {
     password
   });
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Start a session and generate tokens
+  const { token, refreshToken } = await issueTokens(user, req);
 
   // Update last login
   user.lastLogin = new Date();
   await user.save();
 
+  // Send verification codes; the account is created even if delivery fails
+  // and the user can ask for new codes later
+  try {
+    await sendVerificationCode(user, 'phone');
+    await sendVerificationCode(user, 'email');
+  } catch (error) {
+    console.error('Verification code delivery error:', error);
+  }
+
   successResponse(res, {
     user: {
       id: user._id,
       fullName: user.fullName,
       email: user.email,
       phoneNumber: user.phoneNumber,
+      phoneVerified: user.phoneVerified,
+      emailVerified: user.emailVerified,
       balance: user.balance,
       totalTrips: user.totalTrips,
       totalExpense: user.totalExpense,
       role: user.role
     },
-    token
+    token,
+    refreshToken
   }, 'User registered successfully', 201);
 });
 
@@ -70,10 +110,18 @@ const login = asyncHandler(async (req, res) => {
 
   const { email, password } = req.body;
 
+  // Check if the account is locked after repeated failures
+  const lockedUntil = await loginLockout.getLockedUntil(email);
+
+  if (lockedUntil) {
+    return tooManyRequests(res, lockedUntil, 'Account temporarily locked after too many failed logins, please try again later');
+  }
+
   // Check if user exists
   const user = await User.findOne({ email }).select('+password');
 
   if (!user) {
+    await loginLockout.recordFailure(email);
     return errorResponse(res, 'Invalid credentials', 401);
   }
 
@@ -86,11 +134,14 @@ const login = asyncHandler(async (req, res) => {
   const isPasswordValid = await user.comparePassword(password);
 
   if (!isPasswordValid) {
+    await loginLockout.recordFailure(email);
     return errorResponse(res, 'Invalid credentials', 401);
   }
 
-  // Generate token
-  const token = generateToken(user._id);
+  await loginLockout.reset(email);
+
+  // Start a session and generate tokens
+  const { token, refreshToken } = await issueTokens(user, req);
 
   // Update last login
   user.lastLogin = new Date();
@@ -102,12 +153,15 @@ const login = asyncHandler(async (req, res) => {
       fullName: user.fullName,
       email: user.email,
       phoneNumber: user.phoneNumber,
+      phoneVerified: user.phoneVerified,
+      emailVerified: user.emailVerified,
       balance: user.balance,
       totalTrips: user.totalTrips,
       totalExpense: user.totalExpense,
       role: user.role
     },
-    token
+    token,
+    refreshToken
   }, 'Login successful');
 });
 
@@ -116,10 +170,245 @@ const login = asyncHandler(async (req, res) => {
 // @access  Private
 const getMe = asyncHandler(async (req, res) => {
   successResponse(res, {
-    user: req.user
+    user: req.user,
+    permissions: getPermissions(req.user.role)
   }, 'User profile retrieved successfully');
 });
 
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const result = await Session.rotate(req.body.refreshToken);
+
+  if (!result) {
+    return errorResponse(res, 'Invalid or expired refresh token', 401);
+  }
+
+  const user = await User.findById(result.session.user);
+
+  if (!user || !user.isActive) {
+    await result.session.revoke('user_revoked');
+    return errorResponse(res, 'Account is deactivated', 401);
+  }
+
+  successResponse(res, {
+    token: generateToken(user._id, result.session._id),
+    refreshToken: result.refreshToken
+  }, 'Token refreshed successfully');
+});
+
+// @desc    Logout (revoke current session)
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = asyncHandler(async (req, res) => {
+  await req.authSession.revoke('logout');
+
+  successResponse(res, null, 'Logged out successfully');
+});
+
+// @desc    Get active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+
+  successResponse(res, {
+    sessions: sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.equals(req.authSession._id)
+    }))
+  }, 'Sessions retrieved successfully');
+});
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const session = await Session.findOne({ _id: id, user: req.user._id });
+
+  if (!session || !session.isValid()) {
+    return errorResponse(res, 'Session not found', 404);
+  }
+
+  await session.revoke('user_revoked');
+
+  successResponse(res, null, 'Session revoked successfully');
+});
+
+// @desc    Revoke all other sessions
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const revoked = await Session.revokeAllForUser(req.user._id, 'user_revoked', req.authSession._id);
+
+  successResponse(res, { revoked }, 'Other sessions revoked successfully');
+});
+
+// @desc    Request a password reset code
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  // Only send a code to active accounts, but answer the same either way (even
+  // when delivery fails) so the endpoint cannot be used to discover registered emails
+  if (user && user.isActive) {
+    try {
+      const { code } = await OtpCode.issue(user._id, 'password_reset', {
+        channel: 'email',
+        destination: user.email
+      });
+
+      await sendNotification({
+        channel: 'email',
+        to: user.email,
+        subject: 'Password reset code',
+        message: `Your password reset code is ${code}. It expires in ${parseInt(process.env.OTP_EXPIRE_MINUTES) || 10} minutes.`,
+        code
+      });
+    } catch (error) {
+      console.error('Password reset code delivery error:', error);
+    }
+  }
+
+  successResponse(res, null, 'If an account exists for this email, a reset code has been sent');
+});
+
+// @desc    Reset password with a reset code
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { email, code, newPassword } = req.body;
+
+  const user = await User.findOne({ email });
+
+  if (!user || !user.isActive || !(await OtpCode.consume(user._id, 'password_reset', code))) {
+    return errorResponse(res, 'Invalid or expired reset code', 400);
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  // Sign out everywhere, the old password may have been compromised
+  await Session.revokeAllForUser(user._id, 'password_change');
+
+  successResponse(res, null, 'Password reset successfully, please log in again');
+});
+
+// @desc    Change password
+// @route   PUT /api/auth/change-password
+// @access  Private
+const changePassword = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.user._id).select('+password');
+
+  if (!(await user.comparePassword(currentPassword))) {
+    return errorResponse(res, 'Current password is incorrect', 401);
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  // Revoke every session, including this one, and issue fresh tokens
+  await Session.revokeAllForUser(user._id, 'password_change');
+  const { token, refreshToken } = await issueTokens(user, req);
+
+  successResponse(res, {
+    token,
+    refreshToken
+  }, 'Password changed successfully');
+});
+
+// @desc    Send a phone or email verification code
+// @route   POST /api/auth/verify/send
+// @access  Private
+const sendVerification = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { channel } = req.body;
+
+  if (req.user[`${channel}Verified`]) {
+    return errorResponse(res, `Your ${channel === 'phone' ? 'phone number' : 'email'} is already verified`, 400);
+  }
+
+  await sendVerificationCode(req.user, channel);
+
+  successResponse(res, null, 'Verification code sent successfully');
+});
+
+// @desc    Confirm a phone or email verification code
+// @route   POST /api/auth/verify/confirm
+// @access  Private
+const confirmVerification = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { channel, code } = req.body;
+  const user = req.user;
+  const otp = await OtpCode.consume(user._id, VERIFICATION_PURPOSES[channel], code);
+
+  // The code only proves ownership of the contact detail it was sent to
+  const destination = channel === 'phone' ? user.phoneNumber : user.email;
+
+  if (!otp || otp.destination !== destination) {
+    return errorResponse(res, 'Invalid or expired verification code', 400);
+  }
+
+  user[`${channel}Verified`] = true;
+  await user.save();
+
+  successResponse(res, {
+    phoneVerified: user.phoneVerified,
+    emailVerified: user.emailVerified
+  }, `${channel === 'phone' ? 'Phone number' : 'Email'} verified successfully`);
+});
+
 // Validation middleware
 const registerValidation = [
   body('fullName')
@@ -149,9 +438,72 @@ const loginValidation = [
     .withMessage('Password is required')
 ];
 
+const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('code')
+    .trim()
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Reset code must be 6 digits'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage('New password must be different from the current password')
+];
+
+const sendVerificationValidation = [
+  body('channel')
+    .isIn(['phone', 'email'])
+    .withMessage('Channel must be phone or email')
+];
+
+const confirmVerificationValidation = [
+  ...sendVerificationValidation,
+  body('code')
+    .trim()
+    .matches(/^[0-9]{6}$/)
+    .withMessage('Verification code must be 6 digits')
+];
+
 // Routes
-router.post('/register', registerValidation, register);
-router.post('/login', loginValidation, login);
+router.post('/register', authLimiter, registerValidation, register);
+router.post('/login', authLimiter, loginValidation, loginAccountLimiter, login);
+router.post('/refresh', authLimiter, refreshValidation, refresh);
+router.post('/logout', protect, logout);
+router.post('/forgot-password', authLimiter, forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', authLimiter, resetPasswordValidation, resetPassword);
+router.put('/change-password', protect, changePasswordValidation, changePassword);
 router.get('/me', protect, getMe);
+router.post('/verify/send', protect, sendVerificationValidation, sendVerification);
+router.post('/verify/confirm', protect, confirmVerificationValidation, confirmVerification);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 
 module.exports = router; 
\ No newline at end of file
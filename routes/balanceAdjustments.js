@@ -0,0 +1,230 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const asyncHandler = require('../utils/asyncHandler');
+const { successResponse, errorResponse, paginatedResponse } = require('../utils/responseHandler');
+const { protect, requirePermission } = require('../middleware/auth');
+const BalanceAdjustment = require('../models/BalanceAdjustment');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+
+const router = express.Router();
+
+// @desc    Get balance adjustment requests
+// @route   GET /api/balance-adjustments
+// @access  Private (balances:adjust)
+const getAdjustments = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const { status, user } = req.query;
+
+  const query = {};
+
+  if (status) query.status = status;
+  if (user) query.user = user;
+
+  const skip = (page - 1) * limit;
+
+  const adjustments = await BalanceAdjustment.find(query)
+    .populate('user', 'fullName email phoneNumber')
+    .populate('requestedBy', 'fullName email')
+    .populate('reviewedBy', 'fullName email')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await BalanceAdjustment.countDocuments(query);
+
+  paginatedResponse(res, adjustments, page, limit, total, 'Balance adjustments retrieved successfully');
+});
+
+// @desc    Get balance adjustment request by ID
+// @route   GET /api/balance-adjustments/:id
+// @access  Private (balances:adjust)
+const getAdjustmentById = asyncHandler(async (req, res) => {
+  const adjustment = await BalanceAdjustment.findById(req.params.id)
+    .populate('user', 'fullName email phoneNumber balance')
+    .populate('requestedBy', 'fullName email')
+    .populate('reviewedBy', 'fullName email');
+
+  if (!adjustment) {
+    return errorResponse(res, 'Balance adjustment not found', 404);
+  }
+
+  successResponse(res, { adjustment }, 'Balance adjustment retrieved successfully');
+});
+
+// @desc    Request a balance adjustment (applied at once below the approval threshold)
+// @route   POST /api/balance-adjustments
+// @access  Private (balances:adjust)
+const requestAdjustment = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { user: userId, reason } = req.body;
+  const delta = parseFloat(req.body.delta);
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    return errorResponse(res, 'User not found', 404);
+  }
+
+  if (delta < 0 && user.balance < -delta) {
+    return errorResponse(res, 'Insufficient balance for this adjustment', 400);
+  }
+
+  let adjustment = await BalanceAdjustment.create({
+    user: user._id,
+    delta,
+    reason,
+    requiresApproval: await BalanceAdjustment.needsApproval(user._id, delta),
+    requestedBy: req.user._id
+  });
+
+  await adjustment.recheckApproval();
+
+  if (!adjustment.requiresApproval) {
+    adjustment = await adjustment.apply();
+  }
+
+  await AuditLog.record(req, 'balance_adjustment.request', { target: adjustment });
+
+  if (adjustment.status === 'failed') {
+    return errorResponse(res, `Balance adjustment failed: ${adjustment.failureReason}`, 400);
+  }
+
+  successResponse(
+    res,
+    { adjustment },
+    adjustment.requiresApproval ? 'Balance adjustment submitted for approval' : 'Balance adjustment applied successfully',
+    201
+  );
+});
+
+// @desc    Approve a balance adjustment and apply it
+// @route   POST /api/balance-adjustments/:id/approve
+// @access  Private (balances:approve)
+const approveAdjustment = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { id } = req.params;
+
+  const existing = await BalanceAdjustment.findById(id);
+
+  if (!existing) {
+    return errorResponse(res, 'Balance adjustment not found', 404);
+  }
+
+  if (existing.requestedBy.equals(req.user._id)) {
+    return errorResponse(res, 'You cannot approve your own balance adjustment', 403);
+  }
+
+  const before = AuditLog.snapshot(existing);
+  const adjustment = await BalanceAdjustment.claimForReview(id, 'approved', req.user, req.body.reviewNotes);
+
+  if (!adjustment) {
+    return errorResponse(res, `Balance adjustment is already ${existing.status}`, 400);
+  }
+
+  // Record the decision first, so it is kept even if applying it fails
+  await AuditLog.record(req, 'balance_adjustment.approve', { target: adjustment, before });
+
+  await adjustment.apply();
+
+  if (adjustment.status === 'failed') {
+    return errorResponse(res, `Balance adjustment failed: ${adjustment.failureReason}`, 400);
+  }
+
+  successResponse(res, { adjustment }, 'Balance adjustment approved and applied successfully');
+});
+
+// @desc    Reject a balance adjustment
+// @route   POST /api/balance-adjustments/:id/reject
+// @access  Private (balances:approve)
+const rejectAdjustment = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { id } = req.params;
+
+  const existing = await BalanceAdjustment.findById(id);
+
+  if (!existing) {
+    return errorResponse(res, 'Balance adjustment not found', 404);
+  }
+
+  if (existing.requestedBy.equals(req.user._id)) {
+    return errorResponse(res, 'You cannot review your own balance adjustment', 403);
+  }
+
+  const before = AuditLog.snapshot(existing);
+  const adjustment = await BalanceAdjustment.claimForReview(id, 'rejected', req.user, req.body.reviewNotes);
+
+  if (!adjustment) {
+    return errorResponse(res, `Balance adjustment is already ${existing.status}`, 400);
+  }
+
+  await AuditLog.record(req, 'balance_adjustment.reject', { target: adjustment, before });
+
+  successResponse(res, { adjustment }, 'Balance adjustment rejected successfully');
+});
+
+// Validation middleware
+const adjustmentValidation = [
+  body('user')
+    .isMongoId()
+    .withMessage('Valid user ID is required'),
+  body('delta')
+    .isFloat()
+    .withMessage('Delta must be a number')
+    .custom(value => parseFloat(value) !== 0)
+    .withMessage('Delta cannot be zero'),
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Reason must be between 5 and 200 characters')
+];
+
+const reviewValidation = [
+  body('reviewNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Review notes cannot exceed 200 characters')
+];
+
+const adjustmentQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'applied', 'rejected', 'failed'])
+    .withMessage('Invalid status'),
+  query('user')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+// Routes
+router.get('/', protect, requirePermission('balances:adjust'), adjustmentQueryValidation, getAdjustments);
+router.get('/:id', protect, requirePermission('balances:adjust'), getAdjustmentById);
+router.post('/', protect, requirePermission('balances:adjust'), adjustmentValidation, requestAdjustment);
+router.post('/:id/approve', protect, requirePermission('balances:approve'), reviewValidation, approveAdjustment);
+router.post('/:id/reject', protect, requirePermission('balances:approve'), reviewValidation, rejectAdjustment);
+
+module.exports = router;
@@ -0,0 +1,151 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const asyncHandler = require('../utils/asyncHandler');
+const { successResponse, errorResponse, paginatedResponse } = require('../utils/responseHandler');
+const { protect, requirePermission } = require('../middleware/auth');
+const Device = require('../models/Device');
+const Station = require('../models/Station');
+const AuditLog = require('../models/AuditLog');
+
+const router = express.Router();
+
+// @desc    Get all gate devices
+// @route   GET /api/devices
+// @access  Private (devices:read)
+const getAllDevices = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const station = req.query.station || '';
+
+  const query = {};
+
+  // Add station filter
+  if (station) {
+    query.station = station;
+  }
+
+  const skip = (page - 1) * limit;
+
+  const devices = await Device.find(query)
+    .populate('station', 'name code')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Device.countDocuments(query);
+
+  paginatedResponse(res, devices, page, limit, total, 'Devices retrieved successfully');
+});
+
+// @desc    Register a gate device
+// @route   POST /api/devices
+// @access  Private (devices:manage)
+const registerDevice = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { name, station } = req.body;
+
+  // Check if station exists
+  const stationExists = await Station.findById(station);
+
+  if (!stationExists) {
+    return errorResponse(res, 'Station not found', 404);
+  }
+
+  const device = new Device({
+    name,
+    station,
+    registeredBy: req.user._id
+  });
+  const apiKey = device.generateApiKey();
+
+  await device.save();
+  await AuditLog.record(req, 'device.register', { target: device });
+  await device.populate('station', 'name code');
+
+  // The API key is only shown once
+  successResponse(res, {
+    device: {
+      id: device._id,
+      name: device.name,
+      station: device.station,
+      apiKeyPrefix: device.apiKeyPrefix,
+      isActive: device.isActive
+    },
+    apiKey
+  }, 'Device registered successfully', 201);
+});
+
+// @desc    Rotate a gate device API key
+// @route   POST /api/devices/:id/rotate-key
+// @access  Private (devices:manage)
+const rotateDeviceKey = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const device = await Device.findById(id);
+
+  if (!device) {
+    return errorResponse(res, 'Device not found', 404);
+  }
+
+  const before = AuditLog.snapshot(device);
+  const apiKey = device.generateApiKey();
+  await device.save();
+
+  await AuditLog.record(req, 'device.rotate_key', { target: device, before });
+
+  successResponse(res, {
+    device: {
+      id: device._id,
+      name: device.name,
+      apiKeyPrefix: device.apiKeyPrefix
+    },
+    apiKey
+  }, 'Device key rotated successfully');
+});
+
+// @desc    Revoke a gate device
+// @route   DELETE /api/devices/:id
+// @access  Private (devices:manage)
+const revokeDevice = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const device = await Device.findById(id);
+
+  if (!device) {
+    return errorResponse(res, 'Device not found', 404);
+  }
+
+  const before = AuditLog.snapshot(device);
+
+  // Soft delete - set isActive to false
+  device.isActive = false;
+  await device.save();
+
+  await AuditLog.record(req, 'device.revoke', { target: device, before });
+
+  successResponse(res, null, 'Device revoked successfully');
+});
+
+// Validation middleware
+const deviceValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Device name must be between 2 and 100 characters'),
+  body('station')
+    .isMongoId()
+    .withMessage('Valid station ID is required')
+];
+
+// Routes
+router.get('/', protect, requirePermission('devices:read'), getAllDevices);
+router.post('/', protect, requirePermission('devices:manage'), deviceValidation, registerDevice);
+router.post('/:id/rotate-key', protect, requirePermission('devices:manage'), rotateDeviceKey);
+router.delete('/:id', protect, requirePermission('devices:manage'), revokeDevice);
+
+module.exports = router;
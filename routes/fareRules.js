@@ -0,0 +1,183 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const asyncHandler = require('../utils/asyncHandler');
+const { successResponse, errorResponse } = require('../utils/responseHandler');
+const { protect, requirePermission } = require('../middleware/auth');
+const FareRule = require('../models/FareRule');
+const AuditLog = require('../models/AuditLog');
+
+const router = express.Router();
+
+// Query matching active rules that cover the same case as the given rule
+const sameRuleQuery = ({ ruleType, fromZone, toZone, zonesCrossed, fareType }) => {
+  const query = { ruleType, fareType, isActive: true };
+
+  if (ruleType === 'zone_pair') {
+    query.$or = [
+      { fromZone, toZone },
+      { fromZone: toZone, toZone: fromZone }
+    ];
+  } else {
+    query.zonesCrossed = zonesCrossed;
+  }
+
+  return query;
+};
+
+// @desc    Get all zone fare rules
+// @route   GET /api/fare-rules
+// @access  Public
+const getAllFareRules = asyncHandler(async (req, res) => {
+  const query = { isActive: true };
+
+  if (req.query.fareType) query.fareType = req.query.fareType;
+  if (req.query.ruleType) query.ruleType = req.query.ruleType;
+
+  const fareRules = await FareRule.find(query).sort({ ruleType: 1, zonesCrossed: 1, fromZone: 1 });
+
+  successResponse(res, { fareRules }, 'Fare rules retrieved successfully');
+});
+
+// @desc    Create zone fare rule
+// @route   POST /api/fare-rules
+// @access  Private (fares:write)
+const createFareRule = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { ruleType, fromZone, toZone, zonesCrossed, fare, fareType = 'regular', description } = req.body;
+
+  if (ruleType === 'zone_pair' && (!fromZone || !toZone)) {
+    return errorResponse(res, 'From zone and to zone are required for zone pair rules', 400);
+  }
+
+  if (ruleType === 'zones_crossed' && zonesCrossed === undefined) {
+    return errorResponse(res, 'Zones crossed is required for zones crossed rules', 400);
+  }
+
+  const ruleData = ruleType === 'zone_pair'
+    ? { ruleType, fromZone, toZone, fare, fareType, description }
+    : { ruleType, zonesCrossed, fare, fareType, description };
+
+  // Check if a rule already covers this case
+  const existingRule = await FareRule.findOne(sameRuleQuery(ruleData));
+
+  if (existingRule) {
+    return errorResponse(res, 'A fare rule already exists for these zones and fare type', 400);
+  }
+
+  const fareRule = await FareRule.create(ruleData);
+
+  await AuditLog.record(req, 'fare_rule.create', { target: fareRule });
+
+  successResponse(res, { fareRule }, 'Fare rule created successfully', 201);
+});
+
+// @desc    Update zone fare rule (only fare amount and description)
+// @route   PUT /api/fare-rules/:id
+// @access  Private (fares:write)
+const updateFareRule = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { id } = req.params;
+  const { fare, description } = req.body;
+
+  const fareRule = await FareRule.findById(id);
+
+  if (!fareRule) {
+    return errorResponse(res, 'Fare rule not found', 404);
+  }
+
+  const before = AuditLog.snapshot(fareRule);
+
+  if (fare !== undefined) fareRule.fare = fare;
+  if (description !== undefined) fareRule.description = description;
+
+  await fareRule.save();
+
+  await AuditLog.record(req, 'fare_rule.update', { target: fareRule, before });
+
+  successResponse(res, { fareRule }, 'Fare rule updated successfully');
+});
+
+// @desc    Delete zone fare rule
+// @route   DELETE /api/fare-rules/:id
+// @access  Private (fares:write)
+const deleteFareRule = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const fareRule = await FareRule.findById(id);
+
+  if (!fareRule) {
+    return errorResponse(res, 'Fare rule not found', 404);
+  }
+
+  const before = AuditLog.snapshot(fareRule);
+
+  // Soft delete - set isActive to false
+  fareRule.isActive = false;
+  await fareRule.save();
+
+  await AuditLog.record(req, 'fare_rule.delete', { target: fareRule, before });
+
+  successResponse(res, null, 'Fare rule deleted successfully');
+});
+
+// Validation middleware
+const fareRuleValidation = [
+  body('ruleType')
+    .isIn(['zone_pair', 'zones_crossed'])
+    .withMessage('Rule type must be zone_pair or zones_crossed'),
+  body('fromZone')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('From zone cannot be empty'),
+  body('toZone')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('To zone cannot be empty'),
+  body('zonesCrossed')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Zones crossed must be a non-negative integer')
+    .toInt(),
+  body('fare')
+    .isFloat({ min: 0 })
+    .withMessage('Fare must be a positive number'),
+  body('fareType')
+    .optional()
+    .isIn(['regular', 'peak', 'off-peak', 'student', 'senior'])
+    .withMessage('Invalid fare type'),
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters')
+];
+
+const fareRuleEditValidation = [
+  body('fare')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Fare must be a positive number'),
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters')
+];
+
+// Routes
+router.get('/', getAllFareRules);
+router.post('/', protect, requirePermission('fares:write'), fareRuleValidation, createFareRule);
+router.put('/:id', protect, requirePermission('fares:write'), fareRuleEditValidation, updateFareRule);
+router.delete('/:id', protect, requirePermission('fares:write'), deleteFareRule);
+
+module.exports = router;
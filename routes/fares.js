@@ -2,12 +2,31 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const asyncHandler = require('../utils/asyncHandler');
 const { successResponse, errorResponse, paginatedResponse } = require('../utils/responseHandler');
-const { protect, admin } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const Fare = require('../models/Fare');
 const Station = require('../models/Station');
+const AuditLog = require('../models/AuditLog');
+const { COLUMNS, normalizeRow, parseCsv } = require('../utils/fareMatrix');
+const { toCsv } = require('../utils/csv');
 
 const router = express.Router();
 
+// Look up the fare in effect at a given time, of the requested type or of the
+// type the peak/off-peak calendar selects for that time when none is requested
+const findFare = async (fromStation, toStation, fareType, at = new Date()) => {
+  if (fareType) {
+    const found = await Fare.findFare(fromStation, toStation, fareType, at);
+    return {
+      fare: found ? found.fare : null,
+      source: found ? found.source : null,
+      fareType,
+      reason: 'Requested fare type'
+    };
+  }
+
+  return await Fare.getFareAt(fromStation, toStation, at);
+};
+
 // @desc    Get all fares
 // @route   GET /api/fares
 // @access  Public
@@ -47,39 +66,47 @@ const getFareById = asyncHandler(async (req, res) => {
 
   const fare = await Fare.findById(id)
     .populate('fromStation', 'name code')
-    .populate('toStation', 'name code');
+    .populate('toStation', 'name code')
+    .populate('reverseFare', 'fare distance duration symmetric');
 
   if (!fare) {
     return errorResponse(res, 'Fare not found', 404);
   }
 
-  successResponse(res, { fare }, 'Fare retrieved successfully');
+  successResponse(res, { fare, reverseFare: fare.reverseFare || null }, 'Fare retrieved successfully');
 });
 
 // @desc    Get fare between stations
 // @route   GET /api/fares/route
 // @access  Public
 const getFareBetweenStations = asyncHandler(async (req, res) => {
-  const { fromStation, toStation, fareType = 'regular' } = req.query;
+  const { fromStation, toStation, fareType } = req.query;
 
   if (!fromStation || !toStation) {
     return errorResponse(res, 'From station and to station are required', 400);
   }
 
-  const fare = await Fare.getFare(fromStation, toStation, fareType);
+  // Preview the fare charged at another moment (past or future)
+  const at = req.query.at ? new Date(req.query.at) : new Date();
 
-  if (!fare) {
+  if (isNaN(at.getTime())) {
+    return errorResponse(res, 'Invalid date for at', 400);
+  }
+
+  const resolved = await findFare(fromStation, toStation, fareType, at);
+
+  if (!resolved.fare) {
     return errorResponse(res, 'Fare not found for this route', 404);
   }
 
-  successResponse(res, { fare }, 'Fare retrieved successfully');
+  successResponse(res, { ...resolved, at }, 'Fare retrieved successfully');
 });
 
 // @desc    Get fare in between stations (by station names)
 // @route   GET /api/fares/in-between
 // @access  Public
 const getFareInBetween = asyncHandler(async (req, res) => {
-  const { fromStationId, toStationId, fareType = 'regular' } = req.query;
+  const { fromStationId, toStationId, fareType } = req.query;
 
   if (!fromStationId || !toStationId) {
     return errorResponse(res, 'From station and to station are required', 400);
@@ -105,14 +132,9 @@ const getFareInBetween = asyncHandler(async (req, res) => {
 
   console.log(`📍 Found stations: ${fromStationDoc.name} (${fromStationDoc._id}) -> ${toStationDoc.name} (${toStationDoc._id})`);
 
-  // Find fare between these stations
-  const fare = await Fare.findOne({
-    fromStation: fromStationDoc._id,
-    toStation: toStationDoc._id,
-    fareType: fareType,
-    isActive: true
-  }).populate('fromStation', 'name code')
-    .populate('toStation', 'name code');
+  // Find fare between these stations (including symmetric reverse fares)
+  const resolved = await findFare(fromStationDoc._id, toStationDoc._id, fareType);
+  const { fare } = resolved;
 
   if (!fare) {
     console.log(`❌ No fare found for route: ${fromStationDoc.name} -> ${toStationDoc.name}`);
@@ -121,12 +143,12 @@ const getFareInBetween = asyncHandler(async (req, res) => {
 
   console.log(`✅ Found fare: $${fare.fare} for route: ${fromStationDoc.name} -> ${toStationDoc.name}`);
 
-  successResponse(res, { fare }, 'Fare retrieved successfully');
+  successResponse(res, resolved, 'Fare retrieved successfully');
 });
 
 // @desc    Create new fare
 // @route   POST /api/fares
-// @access  Private/Admin
+// @access  Private (fares:write)
 const createFare = asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -142,7 +164,8 @@ const createFare = asyncHandler(async (req, res) => {
     duration,
     fareType = 'regular',
     effectiveFrom,
-    effectiveTo
+    effectiveTo,
+    symmetric = false
   } = req.body;
 
   // Check if stations exist
@@ -162,7 +185,14 @@ const createFare = asyncHandler(async (req, res) => {
   });
 
   if (existingFare) {
-    return errorResponse(res, 'Fare already exists for this route and type', 400);
+    return errorResponse(res, 'Fare already exists for this route and type. Schedule a revision to change its price', 400);
+  }
+
+  // Check if a reverse fare makes this route ambiguous
+  const conflictingFare = await Fare.findConflictingReverseFare(fromStation, toStation, fareType, symmetric);
+
+  if (conflictingFare) {
+    return errorResponse(res, 'A conflicting fare already exists for the return journey. Symmetric fares cannot be combined with a reverse fare', 400);
   }
 
   // Create fare
@@ -174,18 +204,21 @@ const createFare = asyncHandler(async (req, res) => {
     duration,
     fareType,
     effectiveFrom: effectiveFrom || new Date(),
-    effectiveTo
+    effectiveTo,
+    symmetric
   });
 
+  await AuditLog.record(req, 'fare.create', { target: newFare });
+
   await newFare.populate('fromStation', 'name code');
   await newFare.populate('toStation', 'name code');
 
   successResponse(res, { fare: newFare }, 'Fare created successfully', 201);
 });
 
-// @desc    Update fare (only fare amount, distance, and duration)
+// @desc    Update fare (only fare amount, distance, duration and symmetric)
 // @route   PUT /api/fares/:id
-// @access  Private/Admin
+// @access  Private (fares:write)
 const updateFare = asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -194,7 +227,7 @@ const updateFare = asyncHandler(async (req, res) => {
   }
 
   const { id } = req.params;
-  const { fare, distance, duration } = req.body;
+  const { fare, distance, duration, symmetric } = req.body;
 
   // Check if any non-editable fields are being sent
   const nonEditableFields = ['fromStation', 'toStation', 'fareType', 'effectiveFrom', 'effectiveTo', 'isActive'];
@@ -202,7 +235,7 @@ const updateFare = asyncHandler(async (req, res) => {
   const invalidFields = sentFields.filter(field => nonEditableFields.includes(field));
   
   if (invalidFields.length > 0) {
-    return errorResponse(res, `Cannot edit the following fields: ${invalidFields.join(', ')}. Only fare, distance, and duration can be updated.`, 400);
+    return errorResponse(res, `Cannot edit the following fields: ${invalidFields.join(', ')}. Only fare, distance, duration and symmetric can be updated.`, 400);
   }
 
   const fareRecord = await Fare.findById(id);
@@ -211,22 +244,207 @@ const updateFare = asyncHandler(async (req, res) => {
     return errorResponse(res, 'Fare not found', 404);
   }
 
+  // Making a fare symmetric must not clash with an existing reverse fare
+  if (symmetric === true && !fareRecord.symmetric) {
+    const conflictingFare = await Fare.findConflictingReverseFare(
+      fareRecord.fromStation,
+      fareRecord.toStation,
+      fareRecord.fareType,
+      true
+    );
+
+    if (conflictingFare) {
+      return errorResponse(res, 'A fare already exists for the return journey. Deactivate it before making this fare symmetric', 400);
+    }
+  }
+
+  // A new price is stored as a version taking effect now, so the price history
+  // (and historical fare lookups) stay intact
+  if (fare !== undefined && parseFloat(fare) !== fareRecord.fare) {
+    const now = new Date();
+    const inEffect = fareRecord.isActive &&
+      (!fareRecord.effectiveFrom || fareRecord.effectiveFrom <= now) &&
+      (!fareRecord.effectiveTo || fareRecord.effectiveTo > now);
+
+    if (!inEffect) {
+      return errorResponse(res, 'Only the fare version in effect can be repriced. Schedule a revision to change another version', 400);
+    }
+
+    const revision = await fareRecord.scheduleRevision({ fare, distance, duration, symmetric, effectiveFrom: now });
+
+    await AuditLog.record(req, 'fare.revision.schedule', {
+      target: revision,
+      metadata: { revisedFare: fareRecord._id }
+    });
+
+    await revision.populate('fromStation', 'name code');
+    await revision.populate('toStation', 'name code');
+
+    return successResponse(res, { fare: revision }, 'Fare updated successfully');
+  }
+
+  const before = AuditLog.snapshot(fareRecord);
+
   // Update only editable fields
-  if (fare !== undefined) fareRecord.fare = fare;
   if (distance !== undefined) fareRecord.distance = distance;
   if (duration !== undefined) fareRecord.duration = duration;
+  if (symmetric !== undefined) fareRecord.symmetric = symmetric;
 
   await fareRecord.save();
 
+  await AuditLog.record(req, 'fare.update', { target: fareRecord, before });
+
   await fareRecord.populate('fromStation', 'name code');
   await fareRecord.populate('toStation', 'name code');
 
   successResponse(res, { fare: fareRecord }, 'Fare updated successfully');
 });
 
+// @desc    Schedule a fare revision (new price from a given time)
+// @route   POST /api/fares/:id/revisions
+// @access  Private (fares:write)
+const scheduleFareRevision = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { id } = req.params;
+  const { fare, distance, duration } = req.body;
+  const effectiveFrom = new Date(req.body.effectiveFrom);
+
+  if (effectiveFrom < new Date()) {
+    return errorResponse(res, 'Effective from date must be in the future', 400);
+  }
+
+  const fareRecord = await Fare.findById(id);
+
+  if (!fareRecord || !fareRecord.isActive) {
+    return errorResponse(res, 'Fare not found', 404);
+  }
+
+  // Check if a version already starts at this time
+  const existingVersion = await Fare.findOne({
+    fromStation: fareRecord.fromStation,
+    toStation: fareRecord.toStation,
+    fareType: fareRecord.fareType,
+    effectiveFrom
+  });
+
+  if (existingVersion) {
+    return errorResponse(res, 'A fare version already takes effect at this time', 400);
+  }
+
+  const revision = await fareRecord.scheduleRevision({ fare, distance, duration, effectiveFrom });
+
+  await AuditLog.record(req, 'fare.revision.schedule', {
+    target: revision,
+    metadata: { revisedFare: fareRecord._id }
+  });
+
+  await revision.populate('fromStation', 'name code');
+  await revision.populate('toStation', 'name code');
+
+  successResponse(res, { fare: revision }, 'Fare revision scheduled successfully', 201);
+});
+
+// @desc    Get price history of a fare
+// @route   GET /api/fares/:id/history
+// @access  Public
+const getFareHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const fareRecord = await Fare.findById(id);
+
+  if (!fareRecord) {
+    return errorResponse(res, 'Fare not found', 404);
+  }
+
+  const history = await fareRecord.getHistory();
+
+  successResponse(res, { history }, 'Fare history retrieved successfully');
+});
+
+// @desc    Export the current fare matrix
+// @route   GET /api/fares/matrix
+// @access  Private (fares:write)
+const exportFareMatrix = asyncHandler(async (req, res) => {
+  const { fareType = 'regular', format = 'json' } = req.query;
+
+  const { rows, skipped } = await Fare.exportMatrix(fareType);
+
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="fares-${fareType}.csv"`);
+    return res.status(200).send(toCsv(rows, COLUMNS));
+  }
+
+  successResponse(res, { fareType, fares: rows, skipped }, 'Fare matrix exported successfully');
+});
+
+// @desc    Import a full fare matrix (dry run by default)
+// @route   POST /api/fares/matrix
+// @access  Private (fares:write)
+const importFareMatrix = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun !== 'false';
+  let fareType = req.query.fareType || 'regular';
+  let rows;
+
+  try {
+    if (typeof req.body === 'string') {
+      rows = parseCsv(req.body);
+    } else {
+      if (!Array.isArray(req.body.fares)) {
+        return errorResponse(res, 'Fares must be an array, or send the matrix as text/csv', 400);
+      }
+      rows = req.body.fares.map(normalizeRow);
+      fareType = req.body.fareType || fareType;
+    }
+  } catch (error) {
+    return errorResponse(res, error.message, 400);
+  }
+
+  if (!['regular', 'peak', 'off-peak', 'student', 'senior'].includes(fareType)) {
+    return errorResponse(res, 'Invalid fare type', 400);
+  }
+
+  const { applied, ...result } = await Fare.importMatrix(rows, { fareType, dryRun });
+
+  if (result.errors) {
+    return res.status(400).json({
+      success: false,
+      message: 'Fare matrix is invalid',
+      errors: result.errors,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!dryRun) {
+    const importEntry = await AuditLog.record(req, 'fare.matrix.import', {
+      targetType: 'Fare',
+      target: null,
+      metadata: { fareType, summary: result.summary }
+    });
+
+    // One entry per written fare, so each price change is traceable on its own
+    const actions = { create: 'fare.create', change: 'fare.revision.schedule', deactivate: 'fare.delete' };
+
+    for (const { change, before, after } of applied) {
+      await AuditLog.record(req, actions[change], {
+        target: after,
+        before,
+        metadata: { matrixImport: importEntry._id }
+      });
+    }
+  }
+
+  successResponse(res, result, dryRun ? 'Fare matrix diff generated (dry run)' : 'Fare matrix imported successfully');
+});
+
 // @desc    Delete fare
 // @route   DELETE /api/fares/:id
-// @access  Private/Admin
+// @access  Private (fares:write)
 const deleteFare = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
@@ -236,10 +454,14 @@ const deleteFare = asyncHandler(async (req, res) => {
     return errorResponse(res, 'Fare not found', 404);
   }
 
+  const before = AuditLog.snapshot(fare);
+
   // Soft delete - set isActive to false
   fare.isActive = false;
   await fare.save();
 
+  await AuditLog.record(req, 'fare.delete', { target: fare, before });
+
   successResponse(res, null, 'Fare deleted successfully');
 });
 
@@ -250,12 +472,19 @@ const getFaresByStation = asyncHandler(async (req, res) => {
   const { stationId } = req.params;
   const { direction = 'both' } = req.query; // 'from', 'to', or 'both'
 
-  let query = { isActive: true };
+  let query = Fare.activeConditions();
 
+  // Symmetric fares also cover the opposite direction
   if (direction === 'from') {
-    query.fromStation = stationId;
+    query.$or = [
+      { fromStation: stationId },
+      { toStation: stationId, symmetric: true }
+    ];
   } else if (direction === 'to') {
-    query.toStation = stationId;
+    query.$or = [
+      { toStation: stationId },
+      { fromStation: stationId, symmetric: true }
+    ];
   } else {
     query.$or = [
       { fromStation: stationId },
@@ -299,7 +528,30 @@ const fareValidation = [
   body('effectiveTo')
     .optional()
     .isISO8601()
-    .withMessage('Invalid effective to date')
+    .withMessage('Invalid effective to date'),
+  body('symmetric')
+    .optional()
+    .isBoolean()
+    .withMessage('Symmetric must be a boolean')
+    .toBoolean(true)
+];
+
+// Validation middleware for scheduling fare revisions
+const fareRevisionValidation = [
+  body('effectiveFrom')
+    .isISO8601()
+    .withMessage('Valid effective from date is required'),
+  body('fare')
+    .isFloat({ min: 0 })
+    .withMessage('Fare must be a positive number'),
+  body('distance')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Distance must be a positive number'),
+  body('duration')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Duration must be at least 1 minute')
 ];
 
 // Validation middleware for editing fares (only editable fields)
@@ -315,7 +567,12 @@ const fareEditValidation = [
   body('duration')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Duration must be at least 1 minute')
+    .withMessage('Duration must be at least 1 minute'),
+  body('symmetric')
+    .optional()
+    .isBoolean()
+    .withMessage('Symmetric must be a boolean')
+    .toBoolean(true)
 ];
 
 // Routes
@@ -323,9 +580,13 @@ router.get('/', getAllFares);
 router.get('/route', getFareBetweenStations);
 router.get('/in-between', getFareInBetween);
 router.get('/station/:stationId', getFaresByStation);
+router.get('/matrix', protect, requirePermission('fares:write'), exportFareMatrix);
+router.post('/matrix', protect, requirePermission('fares:write'), express.text({ type: 'text/csv', limit: '1mb' }), importFareMatrix);
+router.get('/:id/history', getFareHistory);
 router.get('/:id', getFareById);
-router.post('/', protect, admin, fareValidation, createFare);
-router.put('/:id', protect, admin, fareEditValidation, updateFare);
-router.delete('/:id', protect, admin, deleteFare);
+router.post('/', protect, requirePermission('fares:write'), fareValidation, createFare);
+router.post('/:id/revisions', protect, requirePermission('fares:write'), fareRevisionValidation, scheduleFareRevision);
+router.put('/:id', protect, requirePermission('fares:write'), fareEditValidation, updateFare);
+router.delete('/:id', protect, requirePermission('fares:write'), deleteFare);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,271 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const asyncHandler = require('../utils/asyncHandler');
+const { successResponse, errorResponse } = require('../utils/responseHandler');
+const { protect, requirePermission } = require('../middleware/auth');
+const Line = require('../models/Line');
+const Station = require('../models/Station');
+const AuditLog = require('../models/AuditLog');
+
+const router = express.Router();
+
+// Check that the stops are distinct, active stations; returns an error message or null
+const checkStops = async (stops) => {
+  const stationIds = stops.map(stop => String(stop.station));
+
+  if (new Set(stationIds).size !== stationIds.length) {
+    return 'A station can only appear once on a line';
+  }
+
+  const found = await Station.countDocuments({ _id: { $in: stationIds }, isActive: true });
+
+  return found === stationIds.length ? null : 'One or more stations not found';
+};
+
+// Normalize stops from the request body into line stop documents
+const toStops = (stops) => stops.map((stop, index) => ({
+  station: stop.station,
+  distanceFromPrevious: index === 0 ? 0 : parseFloat(stop.distanceFromPrevious),
+  travelTimeFromPrevious: index === 0 ? 0 : parseFloat(stop.travelTimeFromPrevious)
+}));
+
+// @desc    Get all lines
+// @route   GET /api/lines
+// @access  Public
+const getAllLines = asyncHandler(async (req, res) => {
+  const lines = await Line.find({ isActive: true })
+    .populate('stations.station', 'name code zone')
+    .sort({ name: 1 });
+
+  successResponse(res, { lines }, 'Lines retrieved successfully');
+});
+
+// @desc    Get interchange stations
+// @route   GET /api/lines/interchanges
+// @access  Public
+const getInterchanges = asyncHandler(async (req, res) => {
+  const interchanges = await Line.getInterchanges();
+
+  successResponse(res, { interchanges }, 'Interchange stations retrieved successfully');
+});
+
+// @desc    Get line by ID with cumulative distance and travel time per stop
+// @route   GET /api/lines/:id
+// @access  Public
+const getLineById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const line = await Line.findById(id).populate('stations.station', 'name code zone');
+
+  if (!line) {
+    return errorResponse(res, 'Line not found', 404);
+  }
+
+  const stops = line.getStops();
+  const lastStop = stops[stops.length - 1];
+
+  successResponse(res, {
+    line,
+    stops,
+    totalDistance: lastStop.distanceFromStart,
+    totalTravelTime: lastStop.travelTimeFromStart
+  }, 'Line retrieved successfully');
+});
+
+// @desc    Create new line
+// @route   POST /api/lines
+// @access  Private (lines:write)
+const createLine = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { name, code, color, stations, description } = req.body;
+
+  // Check if line already exists
+  const existingLine = await Line.findOne({ $or: [{ name }, { code: code.toUpperCase() }] });
+
+  if (existingLine) {
+    const conflictField = existingLine.name === name ? 'name' : 'code';
+    return errorResponse(res, `Line with this ${conflictField} already exists`, 400);
+  }
+
+  const stopError = await checkStops(stations);
+
+  if (stopError) {
+    return errorResponse(res, stopError, 400);
+  }
+
+  const line = await Line.create({
+    name,
+    code,
+    color,
+    stations: toStops(stations),
+    description
+  });
+
+  await AuditLog.record(req, 'line.create', { target: line });
+
+  await line.populate('stations.station', 'name code zone');
+
+  successResponse(res, { line }, 'Line created successfully', 201);
+});
+
+// @desc    Update line (stations replace the whole sequence)
+// @route   PUT /api/lines/:id
+// @access  Private (lines:write)
+const updateLine = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { id } = req.params;
+  const { name, code, color, stations, description, isActive } = req.body;
+
+  const line = await Line.findById(id);
+
+  if (!line) {
+    return errorResponse(res, 'Line not found', 404);
+  }
+
+  // Check if name or code already exists (excluding current line)
+  if (name || code) {
+    const orConditions = [];
+
+    if (name) orConditions.push({ name, _id: { $ne: id } });
+    if (code) orConditions.push({ code: code.toUpperCase(), _id: { $ne: id } });
+
+    const existingLine = await Line.findOne({ $or: orConditions });
+
+    if (existingLine) {
+      const conflictField = existingLine.name === name ? 'name' : 'code';
+      return errorResponse(res, `Line with this ${conflictField} already exists`, 400);
+    }
+  }
+
+  if (stations) {
+    const stopError = await checkStops(stations);
+
+    if (stopError) {
+      return errorResponse(res, stopError, 400);
+    }
+  }
+
+  const before = AuditLog.snapshot(line);
+
+  // Update fields
+  if (name) line.name = name;
+  if (code) line.code = code;
+  if (color) line.color = color;
+  if (stations) line.stations = toStops(stations);
+  if (description !== undefined) line.description = description;
+  if (isActive !== undefined) line.isActive = isActive;
+
+  await line.save();
+
+  await AuditLog.record(req, 'line.update', { target: line, before });
+
+  await line.populate('stations.station', 'name code zone');
+
+  successResponse(res, { line }, 'Line updated successfully');
+});
+
+// @desc    Delete line
+// @route   DELETE /api/lines/:id
+// @access  Private (lines:write)
+const deleteLine = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const line = await Line.findById(id);
+
+  if (!line) {
+    return errorResponse(res, 'Line not found', 404);
+  }
+
+  const before = AuditLog.snapshot(line);
+
+  // Soft delete - set isActive to false
+  line.isActive = false;
+  await line.save();
+
+  await AuditLog.record(req, 'line.delete', { target: line, before });
+
+  successResponse(res, null, 'Line deleted successfully');
+});
+
+// Validation middleware
+const stopsValidation = (field) => [
+  field
+    .isArray({ min: 2 })
+    .withMessage('A line needs at least 2 stations'),
+  body('stations.*.station')
+    .isMongoId()
+    .withMessage('Each stop needs a valid station ID'),
+  body('stations.*.distanceFromPrevious')
+    .if((value, { path }) => !path.startsWith('stations[0]'))
+    .isFloat({ min: 0 })
+    .withMessage('Each stop after the first needs a positive distance from the previous stop'),
+  body('stations.*.travelTimeFromPrevious')
+    .if((value, { path }) => !path.startsWith('stations[0]'))
+    .isFloat({ min: 0 })
+    .withMessage('Each stop after the first needs a positive travel time from the previous stop')
+];
+
+const lineValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Line name must be between 2 and 50 characters'),
+  body('code')
+    .trim()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Line code must be between 1 and 10 characters'),
+  body('color')
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex code like #0055A4'),
+  ...stopsValidation(body('stations')),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+];
+
+const lineEditValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Line name must be between 2 and 50 characters'),
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 10 })
+    .withMessage('Line code must be between 1 and 10 characters'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex code like #0055A4'),
+  ...stopsValidation(body('stations').optional()),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+// Routes
+router.get('/', getAllLines);
+router.get('/interchanges', getInterchanges);
+router.get('/:id', getLineById);
+router.post('/', protect, requirePermission('lines:write'), lineValidation, createLine);
+router.put('/:id', protect, requirePermission('lines:write'), lineEditValidation, updateLine);
+router.delete('/:id', protect, requirePermission('lines:write'), deleteLine);
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const asyncHandler = require('../utils/asyncHandler');
+const { successResponse, errorResponse } = require('../utils/responseHandler');
+const Fare = require('../models/Fare');
+const Station = require('../models/Station');
+
+const router = express.Router();
+
+// @desc    Plan the cheapest or fastest route between two stations
+// @route   GET /api/routes/plan
+// @access  Public
+const planRoute = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { from, to, optimize = 'fare', fareType = 'regular' } = req.query;
+
+  if (from === to) {
+    return errorResponse(res, 'From and to stations must be different', 400);
+  }
+
+  // Check if stations exist
+  const fromStationExists = await Station.findById(from);
+  const toStationExists = await Station.findById(to);
+
+  if (!fromStationExists || !toStationExists) {
+    return errorResponse(res, 'One or both stations not found', 404);
+  }
+
+  const route = await Fare.planRoute(from, to, { optimize, fareType });
+
+  if (!route) {
+    return errorResponse(res, `No route found from ${fromStationExists.name} to ${toStationExists.name}`, 404);
+  }
+
+  successResponse(res, {
+    route: {
+      fromStation: { _id: fromStationExists._id, name: fromStationExists.name, code: fromStationExists.code },
+      toStation: { _id: toStationExists._id, name: toStationExists.name, code: toStationExists.code },
+      optimize,
+      fareType,
+      legs: route.legs,
+      totalFare: route.totalFare,
+      totalDistance: route.totalDistance,
+      totalDuration: route.totalDuration
+    }
+  }, 'Route planned successfully');
+});
+
+// Validation middleware
+const planValidation = [
+  query('from')
+    .isMongoId()
+    .withMessage('Valid from station ID is required'),
+  query('to')
+    .isMongoId()
+    .withMessage('Valid to station ID is required'),
+  query('optimize')
+    .optional()
+    .isIn(['fare', 'time'])
+    .withMessage('Optimize must be either fare or time'),
+  query('fareType')
+    .optional()
+    .isIn(['regular', 'peak', 'off-peak', 'student', 'senior'])
+    .withMessage('Invalid fare type')
+];
+
+// Routes
+router.get('/plan', planValidation, planRoute);
+
+module.exports = router;
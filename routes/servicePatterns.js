@@ -0,0 +1,187 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const asyncHandler = require('../utils/asyncHandler');
+const { successResponse, errorResponse } = require('../utils/responseHandler');
+const { protect, requirePermission } = require('../middleware/auth');
+const ServicePattern = require('../models/ServicePattern');
+const Line = require('../models/Line');
+const AuditLog = require('../models/AuditLog');
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// @desc    Get service patterns
+// @route   GET /api/service-patterns
+// @access  Public
+const getServicePatterns = asyncHandler(async (req, res) => {
+  const { line, calendar } = req.query;
+
+  const query = { isActive: true };
+
+  if (line) query.line = line;
+  if (calendar) query.calendar = calendar;
+
+  const servicePatterns = await ServicePattern.find(query)
+    .populate('line', 'name code color')
+    .sort({ line: 1, calendar: 1, direction: 1 });
+
+  successResponse(res, { servicePatterns }, 'Service patterns retrieved successfully');
+});
+
+// @desc    Create service pattern
+// @route   POST /api/service-patterns
+// @access  Private (timetables:write)
+const createServicePattern = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { line, direction, calendar, firstTrain, lastTrain, headways = [], defaultHeadway } = req.body;
+
+  const lineExists = await Line.findOne({ _id: line, isActive: true });
+
+  if (!lineExists) {
+    return errorResponse(res, 'Line not found', 404);
+  }
+
+  // Check if a pattern already covers this line, direction and calendar
+  const existingPattern = await ServicePattern.findOne({ line, direction, calendar });
+
+  if (existingPattern) {
+    return errorResponse(res, 'A service pattern already exists for this line, direction and calendar. Update it instead', 400);
+  }
+
+  const servicePattern = await ServicePattern.create({
+    line,
+    direction,
+    calendar,
+    firstTrain,
+    lastTrain,
+    headways,
+    defaultHeadway
+  });
+
+  await AuditLog.record(req, 'service_pattern.create', { target: servicePattern });
+
+  successResponse(res, { servicePattern }, 'Service pattern created successfully', 201);
+});
+
+// @desc    Update service pattern (times and headways)
+// @route   PUT /api/service-patterns/:id
+// @access  Private (timetables:write)
+const updateServicePattern = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { id } = req.params;
+  const { firstTrain, lastTrain, headways, defaultHeadway, isActive } = req.body;
+
+  const servicePattern = await ServicePattern.findById(id);
+
+  if (!servicePattern) {
+    return errorResponse(res, 'Service pattern not found', 404);
+  }
+
+  const before = AuditLog.snapshot(servicePattern);
+
+  // Update fields
+  if (firstTrain) servicePattern.firstTrain = firstTrain;
+  if (lastTrain) servicePattern.lastTrain = lastTrain;
+  if (headways) servicePattern.headways = headways;
+  if (defaultHeadway !== undefined) servicePattern.defaultHeadway = defaultHeadway;
+  if (isActive !== undefined) servicePattern.isActive = isActive;
+
+  await servicePattern.save();
+
+  await AuditLog.record(req, 'service_pattern.update', { target: servicePattern, before });
+
+  successResponse(res, { servicePattern }, 'Service pattern updated successfully');
+});
+
+// @desc    Delete service pattern
+// @route   DELETE /api/service-patterns/:id
+// @access  Private (timetables:write)
+const deleteServicePattern = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const servicePattern = await ServicePattern.findById(id);
+
+  if (!servicePattern) {
+    return errorResponse(res, 'Service pattern not found', 404);
+  }
+
+  const before = AuditLog.snapshot(servicePattern);
+
+  // Soft delete - set isActive to false
+  servicePattern.isActive = false;
+  await servicePattern.save();
+
+  await AuditLog.record(req, 'service_pattern.delete', { target: servicePattern, before });
+
+  successResponse(res, null, 'Service pattern deleted successfully');
+});
+
+// Validation middleware
+const timesValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('firstTrain')
+      .matches(TIME_PATTERN)
+      .withMessage('First train must be in HH:MM format'),
+    field('lastTrain')
+      .matches(TIME_PATTERN)
+      .withMessage('Last train must be in HH:MM format'),
+    field('defaultHeadway')
+      .isInt({ min: 1 })
+      .withMessage('Default headway must be at least 1 minute'),
+    body('headways')
+      .optional()
+      .isArray()
+      .withMessage('Headways must be an array'),
+    body('headways.*.start')
+      .matches(TIME_PATTERN)
+      .withMessage('Headway band start must be in HH:MM format'),
+    body('headways.*.end')
+      .matches(TIME_PATTERN)
+      .withMessage('Headway band end must be in HH:MM format'),
+    body('headways.*.minutes')
+      .isInt({ min: 1 })
+      .withMessage('Headway band minutes must be at least 1')
+  ];
+};
+
+const servicePatternValidation = [
+  body('line')
+    .isMongoId()
+    .withMessage('Valid line ID is required'),
+  body('direction')
+    .isIn(['forward', 'reverse'])
+    .withMessage('Direction must be forward or reverse'),
+  body('calendar')
+    .isIn(['weekday', 'weekend', 'holiday'])
+    .withMessage('Calendar must be weekday, weekend or holiday'),
+  ...timesValidation(false)
+];
+
+const servicePatternEditValidation = [
+  ...timesValidation(true),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+// Routes
+router.get('/', getServicePatterns);
+router.post('/', protect, requirePermission('timetables:write'), servicePatternValidation, createServicePattern);
+router.put('/:id', protect, requirePermission('timetables:write'), servicePatternEditValidation, updateServicePattern);
+router.delete('/:id', protect, requirePermission('timetables:write'), deleteServicePattern);
+
+module.exports = router;
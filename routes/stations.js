@@ -2,8 +2,11 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const asyncHandler = require('../utils/asyncHandler');
 const { successResponse, errorResponse, paginatedResponse } = require('../utils/responseHandler');
-const { protect, admin } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const Station = require('../models/Station');
+const Line = require('../models/Line');
+const ServicePattern = require('../models/ServicePattern');
+const AuditLog = require('../models/AuditLog');
 
 const router = express.Router();
 
@@ -40,7 +43,7 @@ const getAllStations = asyncHandler(async (req, res) => {
   paginatedResponse(res, stations, page, limit, total, 'Stations retrieved successfully');
 });
 
-// @desc    Get station by ID
+// @desc    Get station by ID (with the lines serving it)
 // @route   GET /api/stations/:id
 // @access  Public
 const getStationById = asyncHandler(async (req, res) => {
@@ -52,12 +55,18 @@ const getStationById = asyncHandler(async (req, res) => {
     return errorResponse(res, 'Station not found', 404);
   }
 
-  successResponse(res, { station }, 'Station retrieved successfully');
+  const lines = await Line.getLinesForStation(station._id);
+
+  successResponse(res, {
+    station,
+    lines,
+    isInterchange: lines.length > 1
+  }, 'Station retrieved successfully');
 });
 
 // @desc    Create new station
 // @route   POST /api/stations
-// @access  Private/Admin
+// @access  Private (stations:write)
 const createStation = asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -115,12 +124,14 @@ const createStation = asyncHandler(async (req, res) => {
 
   const station = await Station.create(stationData);
 
+  await AuditLog.record(req, 'station.create', { target: station });
+
   successResponse(res, { station }, 'Station created successfully', 201);
 });
 
 // @desc    Update station
 // @route   PUT /api/stations/:id
-// @access  Private/Admin
+// @access  Private (stations:write)
 const updateStation = asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -171,6 +182,8 @@ const updateStation = asyncHandler(async (req, res) => {
     }
   }
 
+  const before = AuditLog.snapshot(station);
+
   // Update fields
   if (name) station.name = name;
   if (code !== undefined) {
@@ -199,12 +212,14 @@ const updateStation = asyncHandler(async (req, res) => {
 
   await station.save();
 
+  await AuditLog.record(req, 'station.update', { target: station, before });
+
   successResponse(res, { station }, 'Station updated successfully');
 });
 
 // @desc    Delete station
 // @route   DELETE /api/stations/:id
-// @access  Private/Admin
+// @access  Private (stations:write)
 const deleteStation = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
@@ -214,13 +229,44 @@ const deleteStation = asyncHandler(async (req, res) => {
     return errorResponse(res, 'Station not found', 404);
   }
 
+  const before = AuditLog.snapshot(station);
+
   // Soft delete - set isActive to false
   station.isActive = false;
   await station.save();
 
+  await AuditLog.record(req, 'station.delete', { target: station, before });
+
   successResponse(res, null, 'Station deleted successfully');
 });
 
+// @desc    Get the next departures from a station in each direction
+// @route   GET /api/stations/:id/departures
+// @access  Public
+const getStationDepartures = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const limit = Math.min(parseInt(req.query.limit) || 3, 20);
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+
+  if (Number.isNaN(at.getTime())) {
+    return errorResponse(res, 'Invalid date', 400);
+  }
+
+  const station = await Station.findById(id);
+
+  if (!station) {
+    return errorResponse(res, 'Station not found', 404);
+  }
+
+  const departures = await ServicePattern.getDepartures(station._id, { at, limit });
+
+  successResponse(res, {
+    station: { _id: station._id, name: station.name, code: station.code },
+    at,
+    departures
+  }, 'Departures retrieved successfully');
+});
+
 // @desc    Get stations by zone
 // @route   GET /api/stations/zone/:zone
 // @access  Public
@@ -303,8 +349,9 @@ router.get('/', getAllStations);
 router.get('/nearby', getNearbyStations);
 router.get('/zone/:zone', getStationsByZone);
 router.get('/:id', getStationById);
-router.post('/', protect, admin, stationValidation, createStation);
-router.put('/:id', protect, admin, stationValidation, updateStation);
-router.delete('/:id', protect, admin, deleteStation);
+router.get('/:id/departures', getStationDepartures);
+router.post('/', protect, requirePermission('stations:write'), stationValidation, createStation);
+router.put('/:id', protect, requirePermission('stations:write'), stationValidation, updateStation);
+router.delete('/:id', protect, requirePermission('stations:write'), deleteStation);
 
 module.exports = router; 
\ No newline at end of file
@@ -2,13 +2,26 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const asyncHandler = require('../utils/asyncHandler');
 const { successResponse, errorResponse, paginatedResponse } = require('../utils/responseHandler');
-const { protect } = require('../middleware/auth');
+const { protect, device, requireVerified } = require('../middleware/auth');
+const { scanLimiter } = require('../middleware/rateLimit');
+const { hasPermission } = require('../utils/permissions');
+const { signTicket, verifyTicket, getPublicKey } = require('../utils/ticketSigner');
+const idempotent = require('../middleware/idempotency');
 const Trip = require('../models/Trip');
 const User = require('../models/User');
 const Fare = require('../models/Fare');
+const ServicePattern = require('../models/ServicePattern');
 
 const router = express.Router();
 
+// Cancellation fee charged on refunds: a flat amount plus a percentage of the trip total
+const getCancellationFee = (totalAmount) => {
+  const flatFee = parseFloat(process.env.TRIP_CANCELLATION_FEE) || 0;
+  const percentFee = parseFloat(process.env.TRIP_CANCELLATION_FEE_PERCENT) || 0;
+
+  return Math.round((flatFee + (totalAmount * percentFee) / 100) * 100) / 100;
+};
+
 // @desc    Create a new trip
 // @route   POST /api/trips
 // @access  Private
@@ -19,38 +32,97 @@ const createTrip = asyncHandler(async (req, res) => {
     return errorResponse(res, errors.array()[0].msg, 400);
   }
 
-  const { fromStation, toStation, numberOfPassengers, paymentMethod = 'balance' } = req.body;
+  const { fromStation, toStation, numberOfPassengers, paymentMethod = 'balance', concession } = req.body;
+
+  // Optionally stop sales once the last train towards the destination has left
+  if (process.env.ENFORCE_OPERATING_HOURS === 'true') {
+    const service = await ServicePattern.getServiceStatus(fromStation, toStation);
+
+    if (!service.running) {
+      const resumes = service.resumesAt ? `. Service resumes at ${service.resumesAt.time}` : '';
+      return errorResponse(res, `No more trains towards this destination today${resumes}`, 400);
+    }
+  }
+
+  let fare;
+
+  if (concession) {
+    // Concession fares are personal, so only verified holders travelling alone qualify
+    if (!req.user.hasVerifiedConcession(concession)) {
+      return errorResponse(res, `You are not verified for a ${concession} concession`, 403);
+    }
+
+    if (numberOfPassengers > 1) {
+      return errorResponse(res, 'Concession fares are only available for a single passenger', 400);
+    }
+
+    fare = await Fare.quote(fromStation, toStation, concession);
+
+    if (!fare) {
+      return errorResponse(res, `No ${concession} fare found for this route`, 404);
+    }
+
+    fare.fareTypeReason = `Verified ${concession} concession`;
+  } else {
+    // Get fare for the route (direct pair fare, or the cheapest multi-hop route),
+    // with the fare type chosen by the peak/off-peak calendar
+    fare = await Fare.quoteAt(fromStation, toStation, new Date());
 
-  // Get fare for the route
-  const fare = await Fare.getFare(fromStation, toStation);
-  
-  if (!fare) {
-    return errorResponse(res, 'Fare not found for this route', 404);
+    if (!fare) {
+      return errorResponse(res, 'Fare not found for this route', 404);
+    }
   }
 
   const totalAmount = fare.fare * numberOfPassengers;
 
-  // Check if user has sufficient balance
-  const user = await User.findById(req.user.id);
-  
-  if (paymentMethod === 'balance' && user.balance < totalAmount) {
+  // Fast path: reject obviously insufficient balances before debiting.
+  // The authoritative check is the conditional debit below.
+  if (paymentMethod === 'balance' && req.user.balance < totalAmount) {
     return errorResponse(res, 'Insufficient balance', 400);
   }
 
-  // Create trip
-  const trip = await Trip.create({
+  // Build the trip so the debit can reference it, but only insert it once
+  // payment has been taken - an unpaid trip must never be scannable
+  const trip = new Trip({
     user: req.user.id,
     fromStation,
     toStation,
     fare: fare.fare,
+    fareType: fare.fareType,
+    fareSource: fare.source,
     numberOfPassengers,
     totalAmount,
     paymentMethod
   });
 
-  // Deduct balance if payment method is balance
+  // Debit balance atomically if payment method is balance
   if (paymentMethod === 'balance') {
-    await user.deductBalance(totalAmount);
+    const debitedUser = await User.debitBalance(req.user.id, totalAmount, {
+      type: 'trip_debit',
+      trip: trip._id,
+      paymentMethod
+    });
+
+    if (!debitedUser) {
+      return errorResponse(res, 'Insufficient balance', 400);
+    }
+
+    trip.paymentStatus = 'completed';
+  }
+
+  try {
+    await trip.save();
+  } catch (error) {
+    // Give the money back when the trip could not be stored
+    if (trip.paymentStatus === 'completed') {
+      await User.creditBalance(req.user.id, totalAmount, {
+        type: 'refund',
+        trip: trip._id,
+        paymentMethod,
+        description: `Refund for failed purchase ${trip.tripCode}`
+      });
+    }
+    throw error;
   }
 
   // Populate station details
@@ -69,27 +141,49 @@ const createTrip = asyncHandler(async (req, res) => {
       status: trip.status,
       expiresAt: trip.expiresAt,
       paymentMethod: trip.paymentMethod,
-      paymentStatus: trip.paymentStatus
-    }
+      paymentStatus: trip.paymentStatus,
+      fareSource: trip.fareSource,
+      fareType: trip.fareType,
+      fareTypeReason: fare.fareTypeReason
+    },
+    ...(fare.legs && { route: fare.legs })
   }, 'Trip created successfully', 201);
 });
 
-// @desc    Use a trip (scan QR code)
-// @route   POST /api/trips/use/:tripCode
-// @access  Public
+// @desc    Use a trip (scan signed QR ticket)
+// @route   POST /api/trips/use/:ticket
+// @access  Private/Device
 const useTrip = asyncHandler(async (req, res) => {
-  const { tripCode } = req.params;
+  const ticket = req.params.ticket || req.body.ticket;
+
+  if (!ticket) {
+    return errorResponse(res, 'Ticket is required', 400);
+  }
+
+  // Verify the ticket signature - bare or forged trip codes are rejected here
+  let payload;
+  try {
+    payload = verifyTicket(ticket);
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Ticket has expired' : 'Invalid ticket';
+    return errorResponse(res, message, 401);
+  }
 
   // Get valid trip
-  const trip = await Trip.getValidTrip(tripCode);
+  const trip = await Trip.getValidTrip(payload.tc);
 
-  if (!trip) {
+  if (!trip || trip._id.toString() !== payload.tid) {
     return errorResponse(res, 'Invalid or expired trip code', 404);
   }
 
+  // Tickets can only be used at their boarding station
+  if (trip.fromStation._id.toString() !== req.device.station._id.toString()) {
+    return errorResponse(res, `Ticket is not valid at this station. Board at ${trip.fromStation.name}`, 403);
+  }
+
   try {
     // Use the trip
-    await trip.useTrip();
+    await trip.useTrip(req.device);
 
     // Update user trip statistics
     await trip.user.updateTripStats(trip.totalAmount);
@@ -106,7 +200,12 @@ const useTrip = asyncHandler(async (req, res) => {
         totalAmount: trip.totalAmount,
         status: trip.status,
         usedAt: trip.usedAt,
-        journeyStartTime: trip.journeyStartTime
+        journeyStartTime: trip.journeyStartTime,
+        entryStation: req.device.station,
+        entryDevice: {
+          id: req.device._id,
+          name: req.device.name
+        }
       }
     }, 'Trip used successfully');
   } catch (error) {
@@ -114,40 +213,165 @@ const useTrip = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Complete journey
-// @route   POST /api/trips/:id/complete
-// @access  Private
-const completeJourney = asyncHandler(async (req, res) => {
-  const { id } = req.params;
+// @desc    Exit the network (scan signed QR ticket at exit gate)
+// @route   POST /api/trips/exit/:ticket
+// @access  Private/Device
+const exitTrip = asyncHandler(async (req, res) => {
+  const ticket = req.params.ticket || req.body.ticket;
 
-  const trip = await Trip.findById(id);
+  if (!ticket) {
+    return errorResponse(res, 'Ticket is required', 400);
+  }
+
+  // The ticket may expire mid-journey, so only the signature is checked here
+  let payload;
+  try {
+    payload = verifyTicket(ticket, { ignoreExpiration: true });
+  } catch (error) {
+    return errorResponse(res, 'Invalid ticket', 401);
+  }
+
+  const trip = await Trip.findOne({ _id: payload.tid, tripCode: payload.tc })
+    .populate('fromStation', 'name code')
+    .populate('toStation', 'name code');
 
   if (!trip) {
     return errorResponse(res, 'Trip not found', 404);
   }
 
-  // Check if user owns the trip
-  if (trip.user.toString() !== req.user.id) {
-    return errorResponse(res, 'Not authorized', 403);
+  // Work out the excess fare when leaving somewhere other than the paid destination
+  const exitStation = req.device.station;
+  let excessFare = 0;
+
+  if (exitStation._id.toString() !== trip.toStation._id.toString()) {
+    const actualFare = await Fare.quote(trip.fromStation._id, exitStation._id, trip.fareType);
+
+    if (actualFare && actualFare.fare > trip.fare) {
+      excessFare = (actualFare.fare - trip.fare) * trip.numberOfPassengers;
+    }
   }
 
   try {
-    await trip.completeJourney();
+    await trip.completeJourney({ device: req.device, excessFare });
 
     successResponse(res, {
       trip: {
         id: trip._id,
         tripCode: trip.tripCode,
+        fromStation: trip.fromStation,
+        toStation: trip.toStation,
+        exitStation,
         status: trip.status,
         journeyStartTime: trip.journeyStartTime,
-        journeyEndTime: trip.journeyEndTime
+        journeyEndTime: trip.journeyEndTime,
+        exitStationMismatch: trip.exitStationMismatch,
+        excessFare: trip.excessFare,
+        isOverstay: trip.isOverstay
       }
-    }, 'Journey completed successfully');
+    }, excessFare > 0 ? `Exit recorded. Excess fare of ${excessFare} is owed` : 'Exit recorded successfully');
   } catch (error) {
     return errorResponse(res, error.message, 400);
   }
 });
 
+// @desc    Get signed QR ticket for a trip
+// @route   GET /api/trips/:id/ticket
+// @access  Private
+const getTripTicket = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const trip = await Trip.findById(id);
+
+  if (!trip) {
+    return errorResponse(res, 'Trip not found', 404);
+  }
+
+  // Check if user owns the trip
+  if (trip.user.toString() !== req.user.id) {
+    return errorResponse(res, 'Not authorized', 403);
+  }
+
+  if (trip.status !== 'created' || trip.expiresAt < new Date()) {
+    return errorResponse(res, 'Ticket is only available for unused trips. Status: ' + trip.status, 400);
+  }
+
+  const { algorithm, keyId } = getPublicKey();
+
+  successResponse(res, {
+    ticket: signTicket(trip),
+    tripCode: trip.tripCode,
+    expiresAt: trip.expiresAt,
+    algorithm,
+    keyId
+  }, 'Ticket generated successfully');
+});
+
+// @desc    Get public key for offline ticket verification
+// @route   GET /api/trips/ticket-key
+// @access  Public
+const getTicketKey = asyncHandler(async (req, res) => {
+  successResponse(res, { key: getPublicKey() }, 'Ticket verification key retrieved successfully');
+});
+
+// @desc    Cancel an unused trip and refund it to the wallet
+// @route   POST /api/trips/:id/cancel
+// @access  Private
+const cancelTrip = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const trip = await Trip.findById(id);
+
+  if (!trip) {
+    return errorResponse(res, 'Trip not found', 404);
+  }
+
+  // Check if user owns the trip
+  if (trip.user.toString() !== req.user.id) {
+    return errorResponse(res, 'Not authorized', 403);
+  }
+
+  // Retrying a cancellation whose wallet credit failed finishes the refund
+  const resumingRefund = trip.status === 'cancelled' && await trip.isRefundOutstanding();
+
+  if (!resumingRefund) {
+    try {
+      await trip.cancelTrip(getCancellationFee(trip.totalAmount));
+    } catch (error) {
+      return errorResponse(res, error.message, 400);
+    }
+  }
+
+  // Credit the refund back to the wallet. The ledger takes one refund per
+  // trip, so a retried credit is never paid twice.
+  let balance = req.user.balance;
+
+  if (trip.refundAmount > 0) {
+    const user = await User.creditBalance(trip.user, trip.refundAmount, {
+      type: 'refund',
+      trip: trip._id,
+      paymentMethod: trip.paymentMethod,
+      description: `Refund for cancelled trip ${trip.tripCode}`
+    });
+    balance = user.balance;
+  }
+
+  successResponse(res, {
+    trip: {
+      id: trip._id,
+      tripCode: trip.tripCode,
+      status: trip.status,
+      paymentStatus: trip.paymentStatus,
+      cancelledAt: trip.cancelledAt
+    },
+    refund: {
+      totalAmount: trip.totalAmount,
+      cancellationFee: trip.cancellationFee,
+      refundedAmount: trip.refundAmount,
+      balance
+    }
+  }, 'Trip cancelled successfully');
+});
+
 // @desc    Get user's trip history
 // @route   GET /api/trips/history
 // @access  Private
@@ -184,8 +408,8 @@ const getTripById = asyncHandler(async (req, res) => {
     return errorResponse(res, 'Trip not found', 404);
   }
 
-  // Check if user owns the trip or is admin
-  if (trip.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+  // Check if user owns the trip or may view any trip
+  if (trip.user._id.toString() !== req.user.id && !hasPermission(req.user.role, 'trips:read')) {
     return errorResponse(res, 'Not authorized', 403);
   }
 
@@ -199,22 +423,33 @@ const createTripValidation = [
     .withMessage('Valid from station ID is required'),
   body('toStation')
     .isMongoId()
-    .withMessage('Valid to station ID is required'),
+    .withMessage('Valid to station ID is required')
+    .custom((value, { req }) => value !== req.body.fromStation)
+    .withMessage('From and to stations must be different'),
   body('numberOfPassengers')
     .isInt({ min: 1, max: 10 })
     .withMessage('Number of passengers must be between 1 and 10'),
   body('paymentMethod')
     .optional()
     .isIn(['balance', 'cash', 'card'])
-    .withMessage('Invalid payment method')
+    .withMessage('Invalid payment method'),
+  body('concession')
+    .optional()
+    .isIn(['student', 'senior'])
+    .withMessage('Concession must be student or senior')
 ];
 
 // Routes
-router.post('/', protect, createTripValidation, createTrip);
+router.post('/', protect, requireVerified('trip_purchase'), idempotent, createTripValidation, createTrip);
 router.get('/history', protect, getTripHistory);
 router.get('/unused', protect, getUnusedTrips);
-router.post('/use/:tripCode', useTrip);
-router.post('/:id/complete', protect, completeJourney);
+router.get('/ticket-key', getTicketKey);
+router.post('/use', device, scanLimiter, useTrip);
+router.post('/use/:ticket', device, scanLimiter, useTrip);
+router.post('/exit', device, scanLimiter, exitTrip);
+router.post('/exit/:ticket', device, scanLimiter, exitTrip);
+router.get('/:id/ticket', protect, getTripTicket);
+router.post('/:id/cancel', protect, cancelTrip);
 router.get('/:id', protect, getTripById);
 
 module.exports = router; 
\ No newline at end of file
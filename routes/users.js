@@ -1,13 +1,27 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const asyncHandler = require('../utils/asyncHandler');
 const { successResponse, errorResponse, paginatedResponse } = require('../utils/responseHandler');
-const { protect, admin } = require('../middleware/auth');
+const { protect, requirePermission, requireVerified } = require('../middleware/auth');
+const idempotent = require('../middleware/idempotency');
 const User = require('../models/User');
 const Trip = require('../models/Trip');
+const Transaction = require('../models/Transaction');
+const AuditLog = require('../models/AuditLog');
+const { ROLES, ROLE_PERMISSIONS, hasPermission } = require('../utils/permissions');
 
 const router = express.Router();
 
+// Check whether taking the admin role away from a user would leave no active admin
+const isLastAdmin = async (user) => {
+  if (user.role !== 'admin') {
+    return false;
+  }
+
+  const otherAdmins = await User.countDocuments({ role: 'admin', isActive: true, _id: { $ne: user._id } });
+  return otherAdmins === 0;
+};
+
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
@@ -72,7 +86,11 @@ const depositMoney = asyncHandler(async (req, res) => {
   }
 
   // Add balance
-  await user.addBalance(amount);
+  await user.addBalance(amount, {
+    type: 'deposit',
+    paymentMethod,
+    reference: transactionId
+  });
 
   successResponse(res, {
     user: {
@@ -89,6 +107,31 @@ const depositMoney = asyncHandler(async (req, res) => {
   }, 'Deposit successful');
 });
 
+// @desc    Get user wallet transactions
+// @route   GET /api/users/transactions
+// @access  Private
+const getTransactions = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const { type, startDate, endDate } = req.query;
+
+  const filters = {
+    type,
+    startDate: startDate ? new Date(startDate) : undefined,
+    endDate: endDate ? new Date(endDate) : undefined
+  };
+
+  const result = await Transaction.getUserTransactions(req.user.id, filters, page, limit);
+
+  paginatedResponse(res, result.transactions, page, limit, result.total, 'Transactions retrieved successfully');
+});
+
 // @desc    Get user trip statistics
 // @route   GET /api/users/statistics
 // @access  Private
@@ -110,9 +153,13 @@ const getUserStatistics = asyncHandler(async (req, res) => {
     status: 'created',
     expiresAt: { $gt: new Date() }
   });
-  const expiredTrips = await Trip.countDocuments({ 
-    user: userId, 
-    status: 'expired'
+  // Include trips past expiry that the sweeper has not marked yet
+  const expiredTrips = await Trip.countDocuments({
+    user: userId,
+    $or: [
+      { status: 'expired' },
+      { status: 'created', expiresAt: { $lte: new Date() } }
+    ]
   });
 
   // Get monthly statistics
@@ -158,9 +205,116 @@ const getUserStatistics = asyncHandler(async (req, res) => {
   }, 'Statistics retrieved successfully');
 });
 
-// @desc    Get all users (Admin only)
+// @desc    Apply for a student or senior concession
+// @route   POST /api/users/concession
+// @access  Private
+const applyForConcession = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { category, documentUrl } = req.body;
+
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return errorResponse(res, 'User not found', 404);
+  }
+
+  if (user.concession.status === 'pending') {
+    return errorResponse(res, 'A concession application is already pending review', 400);
+  }
+
+  user.concession = {
+    category,
+    status: 'pending',
+    documentUrl,
+    expiresAt: null
+  };
+
+  await user.save();
+
+  successResponse(res, { concession: user.concession }, 'Concession application submitted successfully', 201);
+});
+
+// @desc    Get concession applications
+// @route   GET /api/users/concessions
+// @access  Private (concessions:review)
+const getConcessionApplications = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const status = req.query.status || 'pending';
+
+  const query = { 'concession.status': status };
+
+  if (req.query.category) {
+    query['concession.category'] = req.query.category;
+  }
+
+  const skip = (page - 1) * limit;
+
+  const users = await User.find(query)
+    .select('fullName email phoneNumber concession')
+    .sort({ updatedAt: 1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await User.countDocuments(query);
+
+  paginatedResponse(res, users, page, limit, total, 'Concession applications retrieved successfully');
+});
+
+// @desc    Review a concession application
+// @route   PUT /api/users/:id/concession
+// @access  Private (concessions:review)
+const reviewConcession = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { id } = req.params;
+  const { status, expiresAt, reviewNotes } = req.body;
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    return errorResponse(res, 'User not found', 404);
+  }
+
+  if (!user.concession.category) {
+    return errorResponse(res, 'User has not applied for a concession', 400);
+  }
+
+  const before = AuditLog.snapshot(user);
+
+  if (status === 'verified') {
+    if (!expiresAt || new Date(expiresAt) <= new Date()) {
+      return errorResponse(res, 'A future expiry date is required to verify a concession', 400);
+    }
+    user.concession.expiresAt = expiresAt;
+  } else {
+    user.concession.expiresAt = null;
+  }
+
+  user.concession.status = status;
+  user.concession.reviewedBy = req.user._id;
+  user.concession.reviewedAt = new Date();
+  user.concession.reviewNotes = reviewNotes;
+
+  await user.save();
+
+  await AuditLog.record(req, 'user.concession.review', { target: user, before });
+
+  successResponse(res, { concession: user.concession }, `Concession ${status} successfully`);
+});
+
+// @desc    Get all users
 // @route   GET /api/users
-// @access  Private/Admin
+// @access  Private (users:read)
 const getAllUsers = asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
@@ -196,9 +350,9 @@ const getAllUsers = asyncHandler(async (req, res) => {
   paginatedResponse(res, users, page, limit, total, 'Users retrieved successfully');
 });
 
-// @desc    Get user by ID (Admin only)
+// @desc    Get user by ID
 // @route   GET /api/users/:id
-// @access  Private/Admin
+// @access  Private (users:read)
 const getUserById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
@@ -211,9 +365,9 @@ const getUserById = asyncHandler(async (req, res) => {
   successResponse(res, { user }, 'User retrieved successfully');
 });
 
-// @desc    Update user (Admin only)
+// @desc    Update user
 // @route   PUT /api/users/:id
-// @access  Private/Admin
+// @access  Private (users:write, roles:manage for role and staff contact details)
 const updateUser = asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -224,12 +378,41 @@ const updateUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { fullName, email, phoneNumber, role, isActive, balance } = req.body;
 
+  // Balances only change through reviewed adjustment requests
+  if (balance !== undefined) {
+    return errorResponse(res, 'Balance cannot be set directly. Submit a balance adjustment request instead', 400);
+  }
+
+  // Each kind of change needs its own permission
+  const required = [];
+  if (fullName || email || phoneNumber || isActive !== undefined) required.push('users:write');
+  if (role) required.push('roles:manage');
+  if (required.length === 0) required.push('users:write');
+
+  const missing = required.filter(permission => !hasPermission(req.user.role, permission));
+
+  if (missing.length > 0) {
+    return errorResponse(res, `Access denied. Requires ${missing.join(', ')} permission`, 403);
+  }
+
   const user = await User.findById(id);
 
   if (!user) {
     return errorResponse(res, 'User not found', 404);
   }
 
+  // Contact details and status of staff accounts control account recovery and
+  // access, so only role managers may change them
+  const staffSensitive = email || phoneNumber || isActive !== undefined;
+
+  if (user.role !== 'user' && staffSensitive && !hasPermission(req.user.role, 'roles:manage')) {
+    return errorResponse(res, 'Access denied. Changing the email, phone number or status of a staff account requires roles:manage permission', 403);
+  }
+
+  if (((role && role !== 'admin') || isActive === false) && await isLastAdmin(user)) {
+    return errorResponse(res, 'Cannot remove the last active admin', 400);
+  }
+
   // Check if email or phone number already exists (excluding current user)
   if (email || phoneNumber) {
     const existingUser = await User.findOne({
@@ -244,22 +427,79 @@ const updateUser = asyncHandler(async (req, res) => {
     }
   }
 
+  const before = AuditLog.snapshot(user);
+
   // Update fields
   if (fullName) user.fullName = fullName;
   if (email) user.email = email;
   if (phoneNumber) user.phoneNumber = phoneNumber;
   if (role) user.role = role;
   if (isActive !== undefined) user.isActive = isActive;
-  if (balance !== undefined) user.balance = balance;
 
   await user.save();
 
+  await AuditLog.record(req, 'user.update', { target: user, before });
+
   successResponse(res, { user }, 'User updated successfully');
 });
 
-// @desc    Delete user (Admin only)
+// @desc    Get roles and their permissions
+// @route   GET /api/users/roles
+// @access  Private (roles:manage)
+const getRoles = asyncHandler(async (req, res) => {
+  const counts = await User.aggregate([
+    { $match: { isActive: true } },
+    { $group: { _id: '$role', count: { $sum: 1 } } }
+  ]);
+
+  successResponse(res, {
+    roles: ROLES.map(role => ({
+      role,
+      permissions: ROLE_PERMISSIONS[role],
+      activeUsers: (counts.find(count => count._id === role) || { count: 0 }).count
+    }))
+  }, 'Roles retrieved successfully');
+});
+
+// @desc    Assign a role to a user
+// @route   PUT /api/users/:id/role
+// @access  Private (roles:manage)
+const assignRole = asyncHandler(async (req, res) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return errorResponse(res, errors.array()[0].msg, 400);
+  }
+
+  const { id } = req.params;
+  const { role } = req.body;
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    return errorResponse(res, 'User not found', 404);
+  }
+
+  if (role !== 'admin' && await isLastAdmin(user)) {
+    return errorResponse(res, 'Cannot remove the last active admin', 400);
+  }
+
+  const before = AuditLog.snapshot(user);
+
+  user.role = role;
+  await user.save();
+
+  await AuditLog.record(req, 'user.role.assign', { target: user, before });
+
+  successResponse(res, {
+    user,
+    permissions: ROLE_PERMISSIONS[role]
+  }, 'Role assigned successfully');
+});
+
+// @desc    Delete user
 // @route   DELETE /api/users/:id
-// @access  Private/Admin
+// @access  Private (users:delete)
 const deleteUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
@@ -269,10 +509,18 @@ const deleteUser = asyncHandler(async (req, res) => {
     return errorResponse(res, 'User not found', 404);
   }
 
+  if (await isLastAdmin(user)) {
+    return errorResponse(res, 'Cannot remove the last active admin', 400);
+  }
+
+  const before = AuditLog.snapshot(user);
+
   // Soft delete - set isActive to false
   user.isActive = false;
   await user.save();
 
+  await AuditLog.record(req, 'user.delete', { target: user, before });
+
   successResponse(res, null, 'User deleted successfully');
 });
 
@@ -309,6 +557,45 @@ const depositValidation = [
     .withMessage('Transaction ID is required for non-cash payments')
 ];
 
+const transactionQueryValidation = [
+  query('type')
+    .optional()
+    .isIn(['deposit', 'trip_debit', 'refund', 'adjustment'])
+    .withMessage('Invalid transaction type'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid end date')
+];
+
+const concessionValidation = [
+  body('category')
+    .isIn(['student', 'senior'])
+    .withMessage('Concession category must be student or senior'),
+  body('documentUrl')
+    .isURL()
+    .withMessage('Please provide a valid document URL')
+];
+
+const concessionReviewValidation = [
+  body('status')
+    .isIn(['verified', 'rejected'])
+    .withMessage('Status must be verified or rejected'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid expiry date'),
+  body('reviewNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Review notes cannot exceed 200 characters')
+];
+
 const userValidation = [
   body('fullName')
     .optional()
@@ -327,26 +614,34 @@ const userValidation = [
     .withMessage('Please provide a valid phone number'),
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
+    .isIn(ROLES)
     .withMessage('Invalid role'),
   body('isActive')
     .optional()
     .isBoolean()
-    .withMessage('isActive must be a boolean'),
-  body('balance')
-    .optional()
-    .isFloat({ min: 0 })
-    .withMessage('Balance must be a positive number')
+    .withMessage('isActive must be a boolean')
+];
+
+const roleValidation = [
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
 ];
 
 // Routes
 router.get('/profile', protect, getUserProfile);
 router.put('/profile', protect, profileValidation, updateUserProfile);
-router.post('/deposit', protect, depositValidation, depositMoney);
+router.post('/deposit', protect, requireVerified('deposit'), idempotent, depositValidation, depositMoney);
+router.get('/transactions', protect, transactionQueryValidation, getTransactions);
 router.get('/statistics', protect, getUserStatistics);
-router.get('/', protect, admin, getAllUsers);
-router.get('/:id', protect, admin, getUserById);
-router.put('/:id', protect, admin, userValidation, updateUser);
-router.delete('/:id', protect, admin, deleteUser);
+router.post('/concession', protect, concessionValidation, applyForConcession);
+router.get('/concessions', protect, requirePermission('concessions:review'), getConcessionApplications);
+router.get('/roles', protect, requirePermission('roles:manage'), getRoles);
+router.get('/', protect, requirePermission('users:read'), getAllUsers);
+router.get('/:id', protect, requirePermission('users:read'), getUserById);
+router.put('/:id', protect, userValidation, updateUser);
+router.put('/:id/role', protect, requirePermission('roles:manage'), roleValidation, assignRole);
+router.put('/:id/concession', protect, requirePermission('concessions:review'), concessionReviewValidation, reviewConcession);
+router.delete('/:id', protect, requirePermission('users:delete'), deleteUser);
 
 module.exports = router; 
\ No newline at end of file
@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const Fare = require('../models/Fare');
 const Station = require('../models/Station');
+const Line = require('../models/Line');
 
 // Load environment variables
 dotenv.config({ path: './.env' });
@@ -25,8 +26,49 @@ const addSampleFares = async () => {
     // Create sample fares between stations
     const sampleFares = [];
 
-    // Create fares between consecutive stations
-    for (let i = 0; i < stations.length - 1; i++) {
+    // Use the real line topology when lines are defined
+    const lines = await Line.find({ isActive: true });
+    console.log(`🚇 Found ${lines.length} lines`);
+
+    // Segments shared by several lines get one (symmetric) fare
+    const addedPairs = new Set();
+
+    for (const line of lines) {
+      for (let i = 1; i < line.stations.length; i++) {
+        const fromStation = stations.find(s => s._id.equals(line.stations[i - 1].station));
+        const toStation = stations.find(s => s._id.equals(line.stations[i].station));
+        const { distanceFromPrevious, travelTimeFromPrevious } = line.stations[i];
+
+        if (!fromStation || !toStation) {
+          continue;
+        }
+
+        const pair = [fromStation._id.toString(), toStation._id.toString()].sort().join('-');
+
+        if (addedPairs.has(pair)) {
+          continue;
+        }
+        addedPairs.add(pair);
+
+        const fare = 20 + Math.round(distanceFromPrevious * 5); // Base fare plus distance charge
+
+        sampleFares.push({
+          fromStation: fromStation._id,
+          toStation: toStation._id,
+          fare: fare,
+          distance: distanceFromPrevious,
+          duration: Math.max(travelTimeFromPrevious, 1), // Fares need at least a minute
+          fareType: 'regular',
+          symmetric: true,
+          isActive: true
+        });
+
+        console.log(`💰 Created fare on ${line.name}: ${fromStation.name} <-> ${toStation.name} = $${fare}`);
+      }
+    }
+
+    // Without lines, treat the station list as a single line
+    for (let i = 0; lines.length === 0 && i < stations.length - 1; i++) {
       const fromStation = stations[i];
       const toStation = stations[i + 1];
       
@@ -48,7 +90,7 @@ const addSampleFares = async () => {
     }
 
     // Also create some cross-route fares
-    if (stations.length >= 4) {
+    if (lines.length === 0 && stations.length >= 4) {
       // Create some diagonal routes
       const crossRoutes = [
         { from: 0, to: 2 }, // First to third station
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Trip = require('../models/Trip');
+
+// Load environment variables
+dotenv.config({ path: './.env' });
+
+// Usage: node scripts/expireTrips.js [--refund]
+const refund = process.argv.includes('--refund') || process.env.AUTO_REFUND_EXPIRED_TRIPS === 'true';
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_CONNECTION_STRING)
+  .then(() => console.log('✅ Connected to MongoDB'))
+  .catch(err => console.error('❌ MongoDB connection error:', err));
+
+const expireTrips = async () => {
+  try {
+    console.log(`⏰ Expiring stale trips${refund ? ' (with refunds)' : ''}`);
+
+    const result = await Trip.expireStaleTrips({ refund });
+
+    console.log(`✅ Expired ${result.expired} trips`);
+
+    const overstays = await Trip.flagOverstays();
+    console.log(`🚩 Flagged ${overstays} overstayed journeys`);
+    if (refund) {
+      console.log(`💰 Refunded ${result.refunded} trips, total $${result.refundedAmount}`);
+    }
+  } catch (error) {
+    console.error('❌ Error expiring trips:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+};
+
+// Run the script
+expireTrips();
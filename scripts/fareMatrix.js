@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Fare = require('../models/Fare');
+const { COLUMNS, normalizeRow, parseCsv } = require('../utils/fareMatrix');
+const { toCsv } = require('../utils/csv');
+
+// Load environment variables
+dotenv.config({ path: './.env' });
+
+// Usage:
+//   node scripts/fareMatrix.js export <file.csv|file.json> [--type regular]
+//   node scripts/fareMatrix.js import <file.csv|file.json> [--type regular] [--apply]
+// Imports are a dry run unless --apply is given.
+const [command, file] = process.argv.slice(2);
+const typeIndex = process.argv.indexOf('--type');
+const fareType = typeIndex !== -1 ? process.argv[typeIndex + 1] : 'regular';
+const apply = process.argv.includes('--apply');
+
+const readRows = (filePath) => {
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    const data = JSON.parse(content);
+    return (Array.isArray(data) ? data : data.fares).map(normalizeRow);
+  }
+
+  return parseCsv(content);
+};
+
+const exportMatrix = async () => {
+  const { rows, skipped } = await Fare.exportMatrix(fareType);
+
+  const content = path.extname(file).toLowerCase() === '.json'
+    ? JSON.stringify({ fareType, fares: rows }, null, 2)
+    : toCsv(rows, COLUMNS);
+  fs.writeFileSync(file, content);
+
+  console.log(`✅ Exported ${rows.length} ${fareType} fares to ${file}`);
+  if (skipped > 0) {
+    console.log(`⚠️  Skipped ${skipped} fares for stations without a code`);
+  }
+};
+
+const importMatrix = async () => {
+  const result = await Fare.importMatrix(readRows(file), { fareType, dryRun: !apply });
+
+  if (result.errors) {
+    console.log('❌ Fare matrix is invalid:');
+    result.errors.forEach(error => console.log(`  ${error}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`📋 ${apply ? 'Applied' : 'Dry run for'} ${fareType} fare matrix:`);
+  result.create.forEach(row => console.log(`  + ${row.from} -> ${row.to}: $${row.fare}`));
+  result.change.forEach(({ before, after }) => console.log(`  ~ ${after.from} -> ${after.to}: $${before.fare} -> $${after.fare}`));
+  result.deactivate.forEach(fare => console.log(`  - ${fare.from} -> ${fare.to}: $${fare.fare}${fare.effectiveFrom ? ` (scheduled from ${fare.effectiveFrom.toISOString()})` : ''}`));
+  result.scheduled.forEach(row => console.log(`  ! ${row.from} -> ${row.to}: $${row.fare} until ${row.until.toISOString()}, then the scheduled $${row.scheduledFare}`));
+  console.log(`✅ ${result.summary.create} to create, ${result.summary.change} to change, ${result.summary.deactivate} to deactivate, ${result.summary.unchanged} unchanged`);
+  if (result.summary.scheduled > 0) {
+    console.log(`⚠️  ${result.summary.scheduled} imported fares are superseded later by scheduled revisions`);
+  }
+
+  if (!apply) {
+    console.log('ℹ️  Run again with --apply to import');
+  }
+};
+
+const run = async () => {
+  if (!['import', 'export'].includes(command) || !file) {
+    console.log('Usage: node scripts/fareMatrix.js <import|export> <file.csv|file.json> [--type regular] [--apply]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_CONNECTION_STRING);
+    console.log('✅ Connected to MongoDB');
+
+    if (command === 'export') {
+      await exportMatrix();
+    } else {
+      await importMatrix();
+    }
+  } catch (error) {
+    console.error('❌ Error processing fare matrix:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+};
+
+// Run the script
+run();
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Fare = require('../models/Fare');
+
+// Load environment variables
+dotenv.config({ path: './.env' });
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_CONNECTION_STRING)
+  .then(() => console.log('✅ Connected to MongoDB'))
+  .catch(err => console.error('❌ MongoDB connection error:', err));
+
+// Replaces the old one-fare-per-route unique index with the versioned
+// {fromStation, toStation, fareType, effectiveFrom} index so that fare
+// revisions can be scheduled. Safe to run more than once.
+const syncFareIndexes = async () => {
+  try {
+    const dropped = await Fare.syncIndexes();
+
+    if (dropped.length > 0) {
+      console.log(`🗑️  Dropped indexes: ${dropped.join(', ')}`);
+    }
+    console.log('✅ Fare indexes are up to date');
+  } catch (error) {
+    console.error('❌ Error syncing fare indexes:', error);
+    process.exitCode = 1;
+  } finally {
+    mongoose.connection.close();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+};
+
+// Run the script
+syncFareIndexes();
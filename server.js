@@ -10,14 +10,25 @@ dotenv.config({ path: './.env' });
 const authRoutes = require('./routes/auth');
 const tripRoutes = require('./routes/trips');
 const stationRoutes = require('./routes/stations');
+const lineRoutes = require('./routes/lines');
+const servicePatternRoutes = require('./routes/servicePatterns');
 const fareRoutes = require('./routes/fares');
+const fareRuleRoutes = require('./routes/fareRules');
 const userRoutes = require('./routes/users');
+const deviceRoutes = require('./routes/devices');
+const routePlannerRoutes = require('./routes/routes');
+const adminRoutes = require('./routes/admin');
+const balanceAdjustmentRoutes = require('./routes/balanceAdjustments');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 
 const app = express();
 
+// Behind a load balancer or reverse proxy, set TRUST_PROXY to the number of
+// proxy hops so rate limits see the real client IP
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || false);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -37,8 +48,15 @@ mongoose.connect(process.env.MONGODB_CONNECTION_STRING)
 app.use('/api/auth', authRoutes);
 app.use('/api/trips', tripRoutes);
 app.use('/api/stations', stationRoutes);
+app.use('/api/lines', lineRoutes);
+app.use('/api/service-patterns', servicePatternRoutes);
 app.use('/api/fares', fareRoutes);
+app.use('/api/fare-rules', fareRuleRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/routes', routePlannerRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/balance-adjustments', balanceAdjustmentRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const OtpCode = require('../models/OtpCode');
+const Device = require('../models/Device');
+const { MemoryStore, setStore } = require('../middleware/rateLimit');
+const { mockQuery, mockFindById, mockSave, newId, buildUser, signIn } = require('./helpers');
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+beforeEach(() => {
+  setStore(new MemoryStore());
+});
+
+describe('POST /api/auth/login', () => {
+  let user;
+
+  const login = (password) => request(app)
+    .post('/api/auth/login')
+    .send({ email: user.email, password });
+
+  beforeAll(async () => {
+    user = buildUser({ password: await bcrypt.hash('secret123', 4) });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockImplementation(() => mockQuery(user));
+    mockSave(User);
+    mockSave(Session);
+  });
+
+  afterEach(() => {
+    delete process.env.AUTH_RATE_LIMIT;
+  });
+
+  it('starts a session and returns access and refresh tokens', async () => {
+    const res = await login('secret123');
+
+    expect(res.status).toBe(200);
+    const { id, sid } = jwt.verify(res.body.data.token, process.env.JWT_SECRET);
+    expect(id).toBe(user.id);
+    expect(res.body.data.refreshToken).toMatch(new RegExp(`^${sid}\\.[0-9a-f]{64}$`));
+  });
+
+  it('locks the account after repeated failures, even for the right password', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      expect((await login('wrong-password')).status).toBe(401);
+    }
+
+    const res = await login('secret123');
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Session.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('limits auth attempts per IP address', async () => {
+    process.env.AUTH_RATE_LIMIT = '2';
+
+    await login('secret123');
+    await login('secret123');
+    const res = await login('secret123');
+
+    expect(res.status).toBe(429);
+    expect(res.headers['ratelimit-remaining']).toBe('0');
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  const refresh = (refreshToken) => request(app)
+    .post('/api/auth/refresh')
+    .send({ refreshToken });
+
+  it('rotates the refresh token', async () => {
+    const user = buildUser();
+    const session = new Session({ user: user._id, refreshTokenHash: 'rotated', expiresAt: new Date(Date.now() + 60000) });
+    const secret = 'a'.repeat(64);
+    const rotate = jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(session);
+    mockFindById(User, [user]);
+
+    const res = await refresh(`${session._id}.${secret}`);
+
+    expect(res.status).toBe(200);
+    expect(rotate).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: session._id.toString(), refreshTokenHash: hashToken(secret), revokedAt: null }),
+      { $set: expect.objectContaining({ previousTokenHash: hashToken(secret) }) },
+      { new: true }
+    );
+    expect(res.body.data.refreshToken).not.toBe(`${session._id}.${secret}`);
+    expect(res.body.data.refreshToken.startsWith(`${session._id}.`)).toBe(true);
+  });
+
+  it('revokes the session when a rotated-out token is presented again', async () => {
+    const sessionId = newId().toString();
+    const secret = 'b'.repeat(64);
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+    const revoke = jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const res = await refresh(`${sessionId}.${secret}`);
+
+    expect(res.status).toBe(401);
+    expect(revoke).toHaveBeenCalledWith(
+      { _id: sessionId, previousTokenHash: hashToken(secret), revokedAt: null },
+      { $set: { revokedAt: expect.any(Date), revokedReason: 'token_reuse' } }
+    );
+  });
+
+  it('rejects malformed tokens without touching the database', async () => {
+    const rotate = jest.spyOn(Session, 'findOneAndUpdate');
+
+    const res = await refresh('not-a-token');
+
+    expect(res.status).toBe(401);
+    expect(rotate).not.toHaveBeenCalled();
+  });
+});
+
+describe('Sessions', () => {
+  it('stops accepting the access token once its session is logged out', async () => {
+    const user = buildUser();
+    const { auth, session } = signIn(user);
+    mockSave(Session);
+
+    expect((await request(app).post('/api/auth/logout').set('Authorization', auth)).status).toBe(200);
+    expect(session.revokedReason).toBe('logout');
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', auth);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('answers a reset request the same whether or not the email is registered', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const user = buildUser();
+    jest.spyOn(User, 'findOne').mockImplementation(async ({ email }) => (email === user.email ? user : null));
+    jest.spyOn(OtpCode, 'issue').mockResolvedValue({ code: '123456' });
+    process.env.NOTIFIER = 'unknown-provider';
+
+    const forgot = (email) => request(app).post('/api/auth/forgot-password').send({ email });
+    const registered = await forgot(user.email);
+    const unknown = await forgot('nobody@example.com');
+
+    delete process.env.NOTIFIER;
+    expect(OtpCode.issue).toHaveBeenCalledTimes(1);
+    expect(registered.status).toBe(200);
+    expect(unknown.status).toBe(200);
+    expect(registered.body.message).toBe(unknown.body.message);
+  });
+
+  it('signs out everywhere after a password reset', async () => {
+    const user = buildUser();
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(OtpCode, 'consume').mockResolvedValue({ destination: user.email });
+    mockSave(User);
+    const revokeAll = jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ email: user.email, code: '123456', newPassword: 'new-secret' });
+
+    expect(res.status).toBe(200);
+    expect(revokeAll).toHaveBeenCalledWith(
+      { user: user._id, revokedAt: null },
+      { $set: { revokedAt: expect.any(Date), revokedReason: 'password_change' } }
+    );
+  });
+});
+
+describe('Contact verification', () => {
+  afterEach(() => {
+    delete process.env.PHONE_VERIFICATION_REQUIRED_FOR;
+  });
+
+  it('blocks actions that need a verified phone number', async () => {
+    process.env.PHONE_VERIFICATION_REQUIRED_FOR = 'deposit';
+    const { auth } = signIn(buildUser());
+    const credit = jest.spyOn(User, 'creditBalance');
+
+    const res = await request(app)
+      .post('/api/users/deposit')
+      .set('Authorization', auth)
+      .send({ amount: 50 });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Please verify your phone number first');
+    expect(credit).not.toHaveBeenCalled();
+  });
+
+  it('lets verified users through', async () => {
+    process.env.PHONE_VERIFICATION_REQUIRED_FOR = 'deposit';
+    const user = buildUser({ phoneVerified: true });
+    const { auth } = signIn(user);
+    jest.spyOn(User, 'creditBalance').mockResolvedValue({ balance: 50 });
+
+    const res = await request(app)
+      .post('/api/users/deposit')
+      .set('Authorization', auth)
+      .send({ amount: 50 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.balance).toBe(50);
+  });
+
+  it('only verifies the phone number the code was sent to', async () => {
+    const user = buildUser({ phoneNumber: '+8801711111111' });
+    const { auth } = signIn(user);
+    jest.spyOn(OtpCode, 'consume').mockResolvedValue({ destination: '+8801700000000' });
+    const save = mockSave(User);
+
+    const res = await request(app)
+      .post('/api/auth/verify/confirm')
+      .set('Authorization', auth)
+      .send({ channel: 'phone', code: '123456' });
+
+    expect(res.status).toBe(400);
+    expect(save).not.toHaveBeenCalled();
+    expect(user.phoneVerified).toBe(false);
+  });
+
+  it('marks the phone number verified with a matching code', async () => {
+    const user = buildUser();
+    const { auth } = signIn(user);
+    jest.spyOn(OtpCode, 'consume').mockResolvedValue({ destination: user.phoneNumber });
+    mockSave(User);
+
+    const res = await request(app)
+      .post('/api/auth/verify/confirm')
+      .set('Authorization', auth)
+      .send({ channel: 'phone', code: '123456' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ phoneVerified: true, emailVerified: false });
+  });
+});
+
+describe('Gate scan rate limit', () => {
+  afterEach(() => {
+    delete process.env.SCAN_RATE_LIMIT;
+  });
+
+  it('counts scans per device rather than per IP address', async () => {
+    process.env.SCAN_RATE_LIMIT = '1';
+    const station = { _id: newId(), name: 'Gate station', code: 'GS' };
+    const gates = {
+      'gate-a': { _id: newId(), station, save: jest.fn().mockResolvedValue() },
+      'gate-b': { _id: newId(), station, save: jest.fn().mockResolvedValue() }
+    };
+    jest.spyOn(Device, 'findByApiKey').mockImplementation(async (apiKey) => gates[apiKey]);
+
+    const scan = (apiKey) => request(app)
+      .post('/api/trips/use')
+      .set('X-Device-Key', apiKey)
+      .send({ ticket: 'not-a-ticket' });
+
+    expect((await scan('gate-a')).status).toBe(401);
+    expect((await scan('gate-b')).status).toBe(401);
+    expect((await scan('gate-a')).status).toBe(429);
+  });
+});
@@ -0,0 +1,201 @@
+const request = require('supertest');
+const app = require('../server');
+const BalanceAdjustment = require('../models/BalanceAdjustment');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { mockFindById, mockSave, buildUser, signIn } = require('./helpers');
+
+describe('Balance adjustments', () => {
+  let maker;
+  let checker;
+  let customer;
+
+  const buildAdjustment = (fields = {}) => new BalanceAdjustment({
+    user: customer._id,
+    delta: 200,
+    reason: 'Goodwill credit',
+    requiresApproval: true,
+    requestedBy: maker._id,
+    ...fields
+  });
+
+  beforeEach(() => {
+    process.env.BALANCE_ADJUSTMENT_APPROVAL_THRESHOLD = '50';
+
+    maker = buildUser({ role: 'finance' });
+    checker = buildUser({ role: 'finance' });
+    customer = buildUser({ balance: 10 });
+
+    jest.spyOn(AuditLog, 'record').mockResolvedValue({});
+    jest.spyOn(Transaction, 'findOne').mockResolvedValue(null);
+    mockSave(BalanceAdjustment);
+  });
+
+  afterEach(() => {
+    delete process.env.BALANCE_ADJUSTMENT_APPROVAL_THRESHOLD;
+  });
+
+  describe('POST /api/balance-adjustments', () => {
+    const requestAdjustment = (auth, delta) => request(app)
+      .post('/api/balance-adjustments')
+      .set('Authorization', auth)
+      .send({ user: customer._id.toString(), delta, reason: 'Goodwill credit' });
+
+    beforeEach(() => {
+      jest.spyOn(BalanceAdjustment, 'create').mockImplementation(async (fields) => new BalanceAdjustment(fields));
+    });
+
+    it('applies small adjustments straight away', async () => {
+      const { auth } = signIn(maker, [customer]);
+      jest.spyOn(BalanceAdjustment, 'aggregate').mockResolvedValue([]);
+      const credit = jest.spyOn(User, 'creditBalance').mockResolvedValue({ balance: 30 });
+
+      const res = await requestAdjustment(auth, 20);
+
+      expect(res.status).toBe(201);
+      expect(credit).toHaveBeenCalledWith(customer._id, 20, expect.objectContaining({ type: 'adjustment' }));
+      expect(res.body.data.adjustment).toMatchObject({ status: 'applied', requiresApproval: false, balanceAfter: 30 });
+    });
+
+    it('holds adjustments above the threshold for approval', async () => {
+      const { auth } = signIn(maker, [customer]);
+      const credit = jest.spyOn(User, 'creditBalance');
+
+      const res = await requestAdjustment(auth, 200);
+
+      expect(res.status).toBe(201);
+      expect(credit).not.toHaveBeenCalled();
+      expect(res.body.data.adjustment).toMatchObject({ status: 'pending', requiresApproval: true });
+    });
+
+    it('counts earlier unapproved adjustments from the last day towards the threshold', async () => {
+      const { auth } = signIn(maker, [customer]);
+      jest.spyOn(BalanceAdjustment, 'aggregate').mockResolvedValue([{ _id: null, total: 40 }]);
+      const credit = jest.spyOn(User, 'creditBalance');
+
+      const res = await requestAdjustment(auth, 20);
+
+      expect(res.status).toBe(201);
+      expect(credit).not.toHaveBeenCalled();
+      expect(res.body.data.adjustment).toMatchObject({ status: 'pending', requiresApproval: true });
+    });
+
+    it('holds an adjustment that a parallel request took over the threshold', async () => {
+      const { auth } = signIn(maker, [customer]);
+      jest.spyOn(BalanceAdjustment, 'aggregate')
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ _id: null, total: 60 }]);
+      const credit = jest.spyOn(User, 'creditBalance');
+
+      const res = await requestAdjustment(auth, 20);
+
+      expect(res.status).toBe(201);
+      expect(credit).not.toHaveBeenCalled();
+      expect(res.body.data.adjustment).toMatchObject({ status: 'pending', requiresApproval: true });
+    });
+
+    it('is limited to staff who may adjust balances', async () => {
+      const { auth } = signIn(buildUser({ role: 'support' }), [customer]);
+      const create = jest.spyOn(BalanceAdjustment, 'create');
+
+      const res = await requestAdjustment(auth, 20);
+
+      expect(res.status).toBe(403);
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/balance-adjustments/:id/approve', () => {
+    const approve = (auth, adjustment) => request(app)
+      .post(`/api/balance-adjustments/${adjustment._id}/approve`)
+      .set('Authorization', auth);
+
+    const claimAs = (adjustment, reviewer) => jest
+      .spyOn(BalanceAdjustment, 'findOneAndUpdate')
+      .mockImplementation(async () => {
+        adjustment.set({ status: 'approved', reviewedBy: reviewer._id, reviewedAt: new Date() });
+        return adjustment;
+      });
+
+    it('applies the adjustment once a second person approves it', async () => {
+      const adjustment = buildAdjustment();
+      const { auth } = signIn(checker);
+      mockFindById(BalanceAdjustment, [adjustment]);
+      claimAs(adjustment, checker);
+      const credit = jest.spyOn(User, 'creditBalance').mockResolvedValue({ balance: 210 });
+
+      const res = await approve(auth, adjustment);
+
+      expect(res.status).toBe(200);
+      expect(credit).toHaveBeenCalledWith(customer._id, 200, expect.objectContaining({
+        type: 'adjustment',
+        performedBy: checker._id,
+        reference: adjustment._id.toString()
+      }));
+      expect(res.body.data.adjustment).toMatchObject({ status: 'applied', balanceAfter: 210 });
+    });
+
+    it('does not let the requester approve their own adjustment', async () => {
+      const adjustment = buildAdjustment();
+      const { auth } = signIn(maker);
+      mockFindById(BalanceAdjustment, [adjustment]);
+      const claim = jest.spyOn(BalanceAdjustment, 'findOneAndUpdate');
+
+      const res = await approve(auth, adjustment);
+
+      expect(res.status).toBe(403);
+      expect(claim).not.toHaveBeenCalled();
+    });
+
+    it('rejects adjustments already decided by someone else', async () => {
+      const adjustment = buildAdjustment({ status: 'rejected' });
+      const { auth } = signIn(checker);
+      mockFindById(BalanceAdjustment, [adjustment]);
+      jest.spyOn(BalanceAdjustment, 'findOneAndUpdate').mockResolvedValue(null);
+      const credit = jest.spyOn(User, 'creditBalance');
+
+      const res = await approve(auth, adjustment);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Balance adjustment is already rejected');
+      expect(credit).not.toHaveBeenCalled();
+    });
+
+    it('returns the adjustment to the queue when the wallet change fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const adjustment = buildAdjustment();
+      const { auth } = signIn(checker);
+      mockFindById(BalanceAdjustment, [adjustment]);
+      claimAs(adjustment, checker);
+      jest.spyOn(User, 'creditBalance').mockRejectedValue(new Error('write failed'));
+      const release = jest.spyOn(BalanceAdjustment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const res = await approve(auth, adjustment);
+
+      expect(res.status).toBe(500);
+      expect(AuditLog.record).toHaveBeenCalledWith(expect.anything(), 'balance_adjustment.approve', expect.objectContaining({
+        target: expect.objectContaining({ reviewedBy: checker._id })
+      }));
+      expect(release).toHaveBeenCalledWith(
+        { _id: adjustment._id, status: 'approved' },
+        { $set: { status: 'pending', reviewedBy: null, reviewedAt: null, reviewNotes: null } }
+      );
+    });
+
+    it('does not change the wallet again when an earlier attempt left a ledger entry', async () => {
+      const adjustment = buildAdjustment();
+      const { auth } = signIn(checker);
+      mockFindById(BalanceAdjustment, [adjustment]);
+      claimAs(adjustment, checker);
+      Transaction.findOne.mockResolvedValue({ balanceAfter: 210 });
+      const credit = jest.spyOn(User, 'creditBalance');
+
+      const res = await approve(auth, adjustment);
+
+      expect(res.status).toBe(200);
+      expect(credit).not.toHaveBeenCalled();
+      expect(res.body.data.adjustment).toMatchObject({ status: 'applied', balanceAfter: 210 });
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { expireTrips } = require('../lambda');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const { newId, buildUser } = require('./helpers');
+
+const staleTrip = (fields = {}) => new Trip({
+  user: buildUser()._id,
+  fromStation: newId(),
+  toStation: newId(),
+  fare: 25,
+  numberOfPassengers: 1,
+  totalAmount: 25,
+  paymentMethod: 'balance',
+  paymentStatus: 'completed',
+  expiresAt: new Date(Date.now() - 60 * 1000),
+  ...fields
+});
+
+describe('expireTrips scheduled handler', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Trip, 'flagOverstays').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    delete process.env.AUTO_REFUND_EXPIRED_TRIPS;
+  });
+
+  it('expires stale trips without refunds by default', async () => {
+    const find = jest.spyOn(Trip, 'find');
+    const expire = jest.spyOn(Trip, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+    const credit = jest.spyOn(User, 'creditBalance');
+
+    const result = await expireTrips();
+
+    expect(result).toEqual({ expired: 3, refunded: 0, refundedAmount: 0, overstays: 0 });
+    expect(expire).toHaveBeenCalledWith(
+      { status: 'created', expiresAt: { $lte: expect.any(Date) } },
+      { $set: { status: 'expired' } }
+    );
+    expect(find).not.toHaveBeenCalled();
+    expect(credit).not.toHaveBeenCalled();
+  });
+
+  it('marks expired wallet-paid trips refunded and credits those still owed', async () => {
+    process.env.AUTO_REFUND_EXPIRED_TRIPS = 'true';
+    const refundable = staleTrip();
+    const usedMeanwhile = staleTrip({ totalAmount: 40 });
+
+    const find = jest.spyOn(Trip, 'find').mockResolvedValue([refundable, usedMeanwhile]);
+    const claim = jest.spyOn(Trip, 'findOneAndUpdate').mockImplementation(async (query) => {
+      if (!query._id.equals(refundable._id)) {
+        return null;
+      }
+      refundable.set({ status: 'expired', paymentStatus: 'refunded', refundAmount: 25 });
+      return refundable;
+    });
+    const owed = jest.spyOn(Trip, 'aggregate').mockImplementation(async () => [refundable.toObject()]);
+    jest.spyOn(Trip, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    const credit = jest.spyOn(User, 'creditBalance').mockResolvedValue({ balance: 25 });
+
+    const result = await expireTrips();
+
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ paymentMethod: 'balance', paymentStatus: 'completed' }));
+    expect(claim).toHaveBeenCalledWith(
+      { _id: refundable._id, status: 'created' },
+      { $set: { status: 'expired', paymentStatus: 'refunded', refundAmount: 25 } },
+      { new: true }
+    );
+    expect(owed.mock.calls[0][0][0]).toEqual({
+      $match: { status: 'expired', paymentStatus: 'refunded', refundAmount: { $gt: 0 } }
+    });
+    expect(credit).toHaveBeenCalledTimes(1);
+    expect(credit).toHaveBeenCalledWith(refundable.user, 25, expect.objectContaining({ type: 'refund', trip: refundable._id }));
+    expect(result).toEqual({ expired: 3, refunded: 1, refundedAmount: 25, overstays: 0 });
+  });
+
+  it('credits refunds left unpaid by an earlier failed sweep', async () => {
+    process.env.AUTO_REFUND_EXPIRED_TRIPS = 'true';
+    const unpaid = staleTrip({ status: 'expired', paymentStatus: 'refunded', refundAmount: 25 });
+
+    jest.spyOn(Trip, 'find').mockResolvedValue([]);
+    jest.spyOn(Trip, 'aggregate').mockResolvedValue([unpaid.toObject()]);
+    jest.spyOn(Trip, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    const credit = jest.spyOn(User, 'creditBalance').mockResolvedValue({ balance: 25 });
+
+    const result = await expireTrips();
+
+    expect(credit).toHaveBeenCalledWith(unpaid.user, 25, expect.objectContaining({ type: 'refund', trip: unpaid._id }));
+    expect(result).toEqual({ expired: 0, refunded: 1, refundedAmount: 25, overstays: 0 });
+  });
+});
@@ -0,0 +1,82 @@
+const request = require('supertest');
+const app = require('../server');
+const Fare = require('../models/Fare');
+const FareRule = require('../models/FareRule');
+const Station = require('../models/Station');
+const { mockQuery, mockFindById, newId } = require('./helpers');
+
+describe('GET /api/fares/route', () => {
+  const origin = new Station({ name: 'Uttara North', code: 'UN', zone: 'Zone 1' });
+  const destination = new Station({ name: 'Motijheel', code: 'MJ', zone: 'Zone 3' });
+
+  const zonePairRule = new FareRule({ name: 'Zone 1 to 3', ruleType: 'zone_pair', fromZone: 'Zone 1', toZone: 'Zone 3', fare: 45 });
+  const zonesCrossedRule = new FareRule({ name: 'Two zones', ruleType: 'zones_crossed', zonesCrossed: 2, fare: 60 });
+
+  const getFare = () => request(app)
+    .get('/api/fares/route')
+    .query({ fromStation: origin._id.toString(), toStation: destination._id.toString(), fareType: 'regular' });
+
+  // Serve the zone rules that match a query from the given set
+  const mockRules = (rules) => jest
+    .spyOn(FareRule, 'findOne')
+    .mockImplementation((query) => mockQuery(rules.find(rule => rule.ruleType === query.ruleType) || null));
+
+  beforeEach(() => {
+    mockFindById(Station, [origin, destination]);
+  });
+
+  it('prices the trip from the pair fare when there is one', async () => {
+    const pairFare = new Fare({ fromStation: origin._id, toStation: destination._id, fare: 40, distance: 12, duration: 25 });
+    jest.spyOn(Fare, 'findOne').mockReturnValue(mockQuery(pairFare));
+    const rules = mockRules([zonePairRule]);
+
+    const res = await getFare();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ source: 'pair', fare: { fare: 40 } });
+    expect(rules).not.toHaveBeenCalled();
+  });
+
+  it('falls back to a zone pair rule without a pair fare', async () => {
+    jest.spyOn(Fare, 'findOne').mockReturnValue(mockQuery(null));
+    mockRules([zonePairRule, zonesCrossedRule]);
+
+    const res = await getFare();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ source: 'zone', fare: { fare: 45, zonesCrossed: 2 } });
+  });
+
+  it('uses the zones crossed rule when no zone pair rule matches', async () => {
+    jest.spyOn(Fare, 'findOne').mockReturnValue(mockQuery(null));
+    mockRules([zonesCrossedRule]);
+
+    const res = await getFare();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ source: 'zone', fare: { fare: 60, zonesCrossed: 2 } });
+  });
+
+  it('does not price a journey back to the same station from the zone rules', async () => {
+    jest.spyOn(Fare, 'findOne').mockReturnValue(mockQuery(null));
+    const rules = mockRules([new FareRule({ name: 'Same zone', ruleType: 'zones_crossed', zonesCrossed: 0, fare: 20 })]);
+
+    const res = await request(app)
+      .get('/api/fares/route')
+      .query({ fromStation: origin._id.toString(), toStation: origin._id.toString(), fareType: 'regular' });
+
+    expect(res.status).toBe(404);
+    expect(rules).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 when neither a pair fare nor a zone rule applies', async () => {
+    jest.spyOn(Fare, 'findOne').mockReturnValue(mockQuery(null));
+    mockRules([]);
+
+    const res = await request(app)
+      .get('/api/fares/route')
+      .query({ fromStation: origin._id.toString(), toStation: newId().toString(), fareType: 'regular' });
+
+    expect(res.status).toBe(404);
+  });
+});
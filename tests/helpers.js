@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { generateToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const CHAINABLE = ['populate', 'select', 'sort', 'skip', 'limit', 'lean'];
+
+// Stand-in for a mongoose query that resolves to `value` however it is chained
+const mockQuery = (value) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+    exec: () => Promise.resolve(value)
+  };
+
+  CHAINABLE.forEach((method) => {
+    query[method] = () => query;
+  });
+
+  return query;
+};
+
+// Serve Model.findById from a fixed set of documents
+const mockFindById = (Model, docs) => jest
+  .spyOn(Model, 'findById')
+  .mockImplementation((id) => mockQuery(docs.find(doc => doc._id.equals(id)) || null));
+
+// Make document saves succeed without a database
+const mockSave = (Model) => jest
+  .spyOn(Model.prototype, 'save')
+  .mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+
+const newId = () => new mongoose.Types.ObjectId();
+
+// Build a user document with sensible defaults
+const buildUser = (fields = {}) => new User({
+  fullName: 'Test Rider',
+  email: `rider-${newId()}@example.com`,
+  phoneNumber: '+8801700000000',
+  password: 'secret123',
+  ...fields
+});
+
+// Sign a user in: mock their session and account lookups and return an
+// Authorization header for them
+const signIn = (user, otherUsers = []) => {
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: 'hash',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+
+  mockFindById(Session, [session]);
+  mockFindById(User, [user, ...otherUsers]);
+
+  return {
+    session,
+    auth: `Bearer ${generateToken(user._id.toString(), session._id.toString())}`
+  };
+};
+
+module.exports = {
+  mockQuery,
+  mockFindById,
+  mockSave,
+  newId,
+  buildUser,
+  signIn
+};
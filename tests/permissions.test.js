@@ -0,0 +1,103 @@
+const request = require('supertest');
+const app = require('../server');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { getPermissions } = require('../utils/permissions');
+const { mockQuery, mockSave, buildUser, signIn } = require('./helpers');
+
+describe('Role permissions', () => {
+  it('reports the permissions of the signed-in role', async () => {
+    const { auth } = signIn(buildUser({ role: 'finance' }));
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.permissions).toEqual(getPermissions('finance'));
+  });
+
+  it.each([
+    ['user', 'GET', '/api/users', 'users:read'],
+    ['operator', 'GET', '/api/users', 'users:read'],
+    ['finance', 'POST', '/api/fares', 'fares:write'],
+    ['support', 'POST', '/api/devices', 'devices:manage'],
+    ['station-staff', 'GET', '/api/admin/audit', 'audit:read'],
+    ['operator', 'POST', '/api/balance-adjustments', 'balances:adjust']
+  ])('denies %s access to %s %s', async (role, method, path, permission) => {
+    const { auth } = signIn(buildUser({ role }));
+
+    const res = await request(app)[method.toLowerCase()](path).set('Authorization', auth);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe(`Access denied. Requires ${permission} permission`);
+  });
+});
+
+describe('PUT /api/users/:id', () => {
+  let target;
+
+  const update = (staff, body) => {
+    const { auth } = signIn(staff, [target]);
+
+    return request(app)
+      .put(`/api/users/${target._id}`)
+      .set('Authorization', auth)
+      .send(body);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(null));
+    jest.spyOn(AuditLog, 'record').mockResolvedValue({});
+    mockSave(User);
+  });
+
+  it("lets support staff change a rider's contact details", async () => {
+    target = buildUser();
+
+    const res = await update(buildUser({ role: 'support' }), { email: 'rider@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(target.email).toBe('rider@example.com');
+    expect(AuditLog.record).toHaveBeenCalledWith(expect.anything(), 'user.update', expect.objectContaining({ target }));
+  });
+
+  it("keeps support staff away from staff accounts' contact details and status", async () => {
+    target = buildUser({ role: 'operator', email: 'operator@example.com' });
+    const support = buildUser({ role: 'support' });
+
+    const emailChange = await update(support, { email: 'attacker@example.com' });
+    const deactivation = await update(support, { isActive: false });
+
+    expect(emailChange.status).toBe(403);
+    expect(deactivation.status).toBe(403);
+    expect(target.email).toBe('operator@example.com');
+    expect(User.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('lets role managers change staff contact details', async () => {
+    target = buildUser({ role: 'operator' });
+
+    const res = await update(buildUser({ role: 'admin' }), { email: 'ops@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(target.email).toBe('ops@example.com');
+  });
+
+  it('requires roles:manage to change a role', async () => {
+    target = buildUser();
+
+    const res = await update(buildUser({ role: 'support' }), { role: 'finance' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Access denied. Requires roles:manage permission');
+    expect(target.role).toBe('user');
+  });
+
+  it('refuses to set a balance directly', async () => {
+    target = buildUser({ balance: 10 });
+
+    const res = await update(buildUser({ role: 'admin' }), { balance: 1000 });
+
+    expect(res.status).toBe(400);
+    expect(target.balance).toBe(10);
+  });
+});
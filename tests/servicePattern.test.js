@@ -0,0 +1,125 @@
+const ServicePattern = require('../models/ServicePattern');
+const Line = require('../models/Line');
+const { getServiceDays } = require('../utils/serviceCalendar');
+const { mockQuery, newId } = require('./helpers');
+
+const buildPattern = (fields = {}) => new ServicePattern({
+  line: newId(),
+  direction: 'forward',
+  calendar: 'weekday',
+  firstTrain: '06:00',
+  lastTrain: '22:00',
+  defaultHeadway: 10,
+  ...fields
+});
+
+beforeEach(() => {
+  process.env.FARE_TIMEZONE = 'UTC';
+});
+
+afterEach(() => {
+  delete process.env.FARE_TIMEZONE;
+  delete process.env.SERVICE_HOLIDAYS;
+});
+
+describe('getServiceDays', () => {
+  it('starts each service day at local midnight with its own calendar', () => {
+    process.env.SERVICE_HOLIDAYS = '2026-10-14';
+
+    const days = getServiceDays(new Date('2026-10-15T10:30:00Z'), 3, -1);
+
+    expect(days).toEqual([
+      { date: '2026-10-14', calendar: 'holiday', start: new Date('2026-10-14T00:00:00Z') },
+      { date: '2026-10-15', calendar: 'weekday', start: new Date('2026-10-15T00:00:00Z') },
+      { date: '2026-10-16', calendar: 'weekend', start: new Date('2026-10-16T00:00:00Z') }
+    ]);
+  });
+
+  it('uses the local date rather than the UTC one', () => {
+    process.env.FARE_TIMEZONE = 'Asia/Dhaka';
+
+    const [today] = getServiceDays(new Date('2026-10-15T20:00:00Z'), 1);
+
+    expect(today).toEqual({ date: '2026-10-16', calendar: 'weekend', start: new Date('2026-10-15T18:00:00Z') });
+  });
+});
+
+describe('ServicePattern#getTerminusDepartures', () => {
+  it('runs past midnight when the last train is earlier than the first', () => {
+    const pattern = buildPattern({ firstTrain: '23:00', lastTrain: '00:30', defaultHeadway: 30 });
+
+    expect(pattern.getTerminusDepartures()).toEqual([1380, 1410, 1440, 1470]);
+  });
+
+  it('switches headway at the band boundaries', () => {
+    const pattern = buildPattern({
+      firstTrain: '06:50',
+      lastTrain: '09:20',
+      headways: [{ start: '07:00', end: '09:00', minutes: 30 }]
+    });
+
+    // The band includes 07:00 and ends before 09:00
+    expect(pattern.getTerminusDepartures()).toEqual([410, 420, 450, 480, 510, 540, 550, 560]);
+  });
+});
+
+describe('ServicePattern timetable queries', () => {
+  const [origin, middle, terminus] = [newId(), newId(), newId()];
+  const line = new Line({
+    name: 'Line 6',
+    code: 'L6',
+    color: '#0055A4',
+    stations: [
+      { station: origin },
+      { station: middle, distanceFromPrevious: 3, travelTimeFromPrevious: 5 },
+      { station: terminus, distanceFromPrevious: 3, travelTimeFromPrevious: 5 }
+    ]
+  });
+
+  const mockTimetable = (patterns) => {
+    jest.spyOn(Line, 'find').mockReturnValue(mockQuery([line]));
+    jest.spyOn(ServicePattern, 'find').mockReturnValue(mockQuery(patterns));
+  };
+
+  it("includes the previous service day's late trains in today's departures", async () => {
+    mockTimetable([buildPattern({ line: line._id, lastTrain: '00:30', defaultHeadway: 20 })]);
+
+    const [forward] = await ServicePattern.getDepartures(origin, { at: new Date('2026-10-15T00:10:00Z'), limit: 2 });
+
+    expect(forward.departures).toEqual([
+      expect.objectContaining({ time: '00:20', serviceDate: '2026-10-14', minutesAway: 10 }),
+      expect.objectContaining({ time: '06:00', serviceDate: '2026-10-15', minutesAway: 350 })
+    ]);
+  });
+
+  describe('getServiceStatus', () => {
+    // Monday night: forward trains have stopped, reverse trains still run
+    const at = new Date('2026-10-12T22:30:00Z');
+
+    beforeEach(() => {
+      mockTimetable([
+        buildPattern({ line: line._id, direction: 'forward', lastTrain: '22:00' }),
+        buildPattern({ line: line._id, direction: 'reverse', lastTrain: '23:30' })
+      ]);
+    });
+
+    it('reports the next morning when the last train towards the destination has gone', async () => {
+      const status = await ServicePattern.getServiceStatus(middle, terminus, at);
+
+      expect(status).toEqual({
+        running: false,
+        resumesAt: expect.objectContaining({
+          time: '06:05',
+          serviceDate: '2026-10-13',
+          departsAt: new Date('2026-10-13T06:05:00Z')
+        })
+      });
+    });
+
+    it('keeps the other direction running', async () => {
+      const status = await ServicePattern.getServiceStatus(middle, origin, at);
+
+      expect(status).toEqual({ running: true });
+    });
+  });
+});
@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Tests run without a database: every model call a test relies on is mocked,
+// and any other query fails at once instead of waiting for a connection
+process.env.NODE_ENV = 'test';
+process.env.DOTENV_CONFIG_QUIET = 'true';
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+process.env.TICKET_SIGNING_PRIVATE_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+mongoose.set('bufferCommands', false);
+mongoose.connect = () => new Promise(() => {});
@@ -0,0 +1,509 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../server');
+const Trip = require('../models/Trip');
+const User = require('../models/User');
+const Fare = require('../models/Fare');
+const Device = require('../models/Device');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const Transaction = require('../models/Transaction');
+const { signTicket } = require('../utils/ticketSigner');
+const { mockQuery, mockFindById, mockSave, newId, buildUser, signIn } = require('./helpers');
+
+const fromStation = newId();
+const toStation = newId();
+
+const buildTrip = (user, fields = {}) => new Trip({
+  user: user._id,
+  fromStation,
+  toStation,
+  fare: 25,
+  numberOfPassengers: 2,
+  totalAmount: 50,
+  paymentMethod: 'balance',
+  paymentStatus: 'completed',
+  ...fields
+});
+
+const buildDevice = (station) => ({
+  _id: newId(),
+  name: 'Gate 1',
+  station: { _id: station, name: 'Gate station', code: 'GS' },
+  save: jest.fn().mockResolvedValue()
+});
+
+// The payload signTicket would produce, signed some other way
+const ticketPayload = (trip) => jwt.decode(signTicket(trip));
+
+// Swap the payload of a genuine ticket while keeping its signature
+const tamper = (trip, fields) => {
+  const [header, , signature] = signTicket(trip).split('.');
+  const payload = Buffer.from(JSON.stringify({ ...ticketPayload(trip), ...fields })).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+describe('POST /api/trips', () => {
+  let user;
+  let auth;
+
+  const purchase = (body = {}) => request(app)
+    .post('/api/trips')
+    .set('Authorization', auth)
+    .send({ fromStation, toStation, numberOfPassengers: 2, ...body });
+
+  beforeEach(() => {
+    user = buildUser({ balance: 100 });
+    ({ auth } = signIn(user));
+
+    jest.spyOn(Fare, 'quoteAt').mockResolvedValue({
+      fare: 30,
+      fareType: 'regular',
+      source: 'pair',
+      legs: null,
+      fareTypeReason: 'Off-peak hours'
+    });
+    jest.spyOn(Trip.prototype, 'populate').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  it('debits the wallet before storing the trip', async () => {
+    const calls = [];
+    const debit = jest.spyOn(User, 'debitBalance').mockImplementation(async () => {
+      calls.push('debit');
+      return { balance: 40 };
+    });
+    const save = mockSave(Trip).mockImplementation(function() {
+      calls.push('save');
+      return Promise.resolve(this);
+    });
+
+    const res = await purchase();
+
+    expect(res.status).toBe(201);
+    expect(calls).toEqual(['debit', 'save']);
+    expect(debit).toHaveBeenCalledWith(user.id, 60, {
+      type: 'trip_debit',
+      trip: save.mock.contexts[0]._id,
+      paymentMethod: 'balance'
+    });
+    expect(res.body.data.trip).toMatchObject({ totalAmount: 60, paymentStatus: 'completed', status: 'created' });
+  });
+
+  it('rejects the purchase without debiting when the balance is too low', async () => {
+    user.balance = 50;
+    const debit = jest.spyOn(User, 'debitBalance');
+    const save = mockSave(Trip);
+
+    const res = await purchase();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Insufficient balance');
+    expect(debit).not.toHaveBeenCalled();
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('does not store the trip when a concurrent debit drained the balance', async () => {
+    jest.spyOn(User, 'debitBalance').mockResolvedValue(null);
+    const save = mockSave(Trip);
+
+    const res = await purchase();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Insufficient balance');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('refunds the debit when the trip cannot be stored', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(User, 'debitBalance').mockResolvedValue({ balance: 40 });
+    const credit = jest.spyOn(User, 'creditBalance').mockResolvedValue({ balance: 100 });
+    const save = jest.spyOn(Trip.prototype, 'save').mockRejectedValue(new Error('write failed'));
+
+    const res = await purchase();
+
+    expect(res.status).toBe(500);
+    expect(credit).toHaveBeenCalledWith(user.id, 60, expect.objectContaining({
+      type: 'refund',
+      trip: save.mock.contexts[0]._id,
+      paymentMethod: 'balance'
+    }));
+  });
+
+  it('refuses tickets that start and end at the same station', async () => {
+    const debit = jest.spyOn(User, 'debitBalance');
+
+    const res = await purchase({ toStation: fromStation });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('From and to stations must be different');
+    expect(Fare.quoteAt).not.toHaveBeenCalled();
+    expect(debit).not.toHaveBeenCalled();
+  });
+
+  it('leaves cash purchases unpaid and the wallet alone', async () => {
+    const debit = jest.spyOn(User, 'debitBalance');
+    mockSave(Trip);
+
+    const res = await purchase({ paymentMethod: 'cash' });
+
+    expect(res.status).toBe(201);
+    expect(debit).not.toHaveBeenCalled();
+    expect(res.body.data.trip).toMatchObject({ paymentMethod: 'cash', paymentStatus: 'pending' });
+  });
+
+  describe('with an Idempotency-Key', () => {
+    const body = { fromStation: fromStation.toString(), toStation: toStation.toString(), numberOfPassengers: 2 };
+    const fingerprint = crypto
+      .createHash('sha256')
+      .update(`POST /api/trips/:${JSON.stringify(body)}`)
+      .digest('hex');
+
+    const retry = () => request(app)
+      .post('/api/trips')
+      .set('Authorization', auth)
+      .set('Idempotency-Key', 'purchase-1')
+      .send(body);
+
+    const duplicateKey = (fields) => {
+      jest.spyOn(IdempotencyKey, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+      jest.spyOn(IdempotencyKey, 'findOne').mockResolvedValue(new IdempotencyKey({
+        key: 'purchase-1',
+        user: user._id,
+        route: 'POST /api/trips/',
+        fingerprint,
+        ...fields
+      }));
+    };
+
+    it('replays a completed purchase without charging again', async () => {
+      const responseBody = { success: true, message: 'Trip created successfully', data: { trip: { tripCode: 'TRIP-EARLIER' } } };
+      duplicateKey({ status: 'completed', responseStatus: 201, responseBody });
+      const debit = jest.spyOn(User, 'debitBalance');
+
+      const res = await retry();
+
+      expect(res.status).toBe(201);
+      expect(res.headers['idempotent-replayed']).toBe('true');
+      expect(res.body).toEqual(responseBody);
+      expect(debit).not.toHaveBeenCalled();
+    });
+
+    it('rejects a retry while the first purchase is still in flight', async () => {
+      duplicateKey({ status: 'processing', lockedAt: new Date() });
+      jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(null);
+      const debit = jest.spyOn(User, 'debitBalance');
+
+      const res = await retry();
+
+      expect(res.status).toBe(409);
+      expect(debit).not.toHaveBeenCalled();
+    });
+
+    it('frees the key when the purchase fails with a server error', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const record = new IdempotencyKey({ key: 'purchase-1', user: user._id, route: 'POST /api/trips/', fingerprint });
+      jest.spyOn(IdempotencyKey, 'create').mockResolvedValue(record);
+      const release = jest.spyOn(IdempotencyKey, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+      const complete = jest.spyOn(IdempotencyKey, 'updateOne');
+      jest.spyOn(User, 'debitBalance').mockResolvedValue({ balance: 40 });
+      jest.spyOn(User, 'creditBalance').mockResolvedValue({ balance: 100 });
+      jest.spyOn(Trip.prototype, 'save').mockRejectedValue(new Error('write failed'));
+
+      const res = await retry();
+
+      expect(res.status).toBe(500);
+      expect(release).toHaveBeenCalledWith({ _id: record._id });
+      expect(complete).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('POST /api/trips/:id/cancel', () => {
+  let user;
+  let auth;
+
+  const cancel = (trip) => request(app)
+    .post(`/api/trips/${trip._id}/cancel`)
+    .set('Authorization', auth);
+
+  beforeEach(() => {
+    user = buildUser({ balance: 20 });
+    ({ auth } = signIn(user));
+    process.env.TRIP_CANCELLATION_FEE = '5';
+  });
+
+  afterEach(() => {
+    delete process.env.TRIP_CANCELLATION_FEE;
+  });
+
+  it('refunds a wallet-paid trip less the cancellation fee', async () => {
+    const trip = buildTrip(user);
+    mockFindById(Trip, [trip]);
+    const update = jest.spyOn(Trip, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const credit = jest.spyOn(User, 'creditBalance').mockResolvedValue({ balance: 65 });
+
+    const res = await cancel(trip);
+
+    expect(res.status).toBe(200);
+    expect(update).toHaveBeenCalledWith(
+      { _id: trip._id, status: 'created' },
+      { $set: expect.objectContaining({ status: 'cancelled', paymentStatus: 'refunded', refundAmount: 45 }) }
+    );
+    expect(credit).toHaveBeenCalledWith(trip.user, 45, expect.objectContaining({ type: 'refund', trip: trip._id }));
+    expect(res.body.data.refund).toMatchObject({ cancellationFee: 5, refundedAmount: 45, balance: 65 });
+  });
+
+  it('does not credit the wallet for trips paid in cash', async () => {
+    const trip = buildTrip(user, { paymentMethod: 'cash' });
+    mockFindById(Trip, [trip]);
+    jest.spyOn(Trip, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const credit = jest.spyOn(User, 'creditBalance');
+
+    const res = await cancel(trip);
+
+    expect(res.status).toBe(200);
+    expect(credit).not.toHaveBeenCalled();
+    expect(res.body.data.refund).toMatchObject({ cancellationFee: 0, refundedAmount: 0, balance: 20 });
+  });
+
+  it('does not refund a trip used or cancelled by a concurrent request', async () => {
+    const trip = buildTrip(user);
+    mockFindById(Trip, [trip]);
+    jest.spyOn(Trip, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const credit = jest.spyOn(User, 'creditBalance');
+
+    const res = await cancel(trip);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Trip has already been used or cancelled');
+    expect(credit).not.toHaveBeenCalled();
+  });
+
+  it('finishes a refund whose wallet credit failed on an earlier attempt', async () => {
+    const trip = buildTrip(user, { status: 'cancelled', paymentStatus: 'refunded', cancellationFee: 5, refundAmount: 45 });
+    mockFindById(Trip, [trip]);
+    jest.spyOn(Transaction, 'exists').mockResolvedValue(null);
+    const update = jest.spyOn(Trip, 'updateOne');
+    const credit = jest.spyOn(User, 'creditBalance').mockResolvedValue({ balance: 65 });
+
+    const res = await cancel(trip);
+
+    expect(res.status).toBe(200);
+    expect(update).not.toHaveBeenCalled();
+    expect(credit).toHaveBeenCalledWith(trip.user, 45, expect.objectContaining({ type: 'refund', trip: trip._id }));
+    expect(res.body.data.refund).toMatchObject({ refundedAmount: 45, balance: 65 });
+  });
+
+  it('does not refund a cancelled trip again once the refund is in the ledger', async () => {
+    const trip = buildTrip(user, { status: 'cancelled', paymentStatus: 'refunded', refundAmount: 45 });
+    mockFindById(Trip, [trip]);
+    jest.spyOn(Transaction, 'exists').mockResolvedValue({ _id: newId() });
+    const credit = jest.spyOn(User, 'creditBalance');
+
+    const res = await cancel(trip);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Trip cannot be cancelled. Status: cancelled');
+    expect(credit).not.toHaveBeenCalled();
+  });
+
+  it('rejects used trips', async () => {
+    const trip = buildTrip(user, { status: 'used' });
+    mockFindById(Trip, [trip]);
+    const update = jest.spyOn(Trip, 'updateOne');
+
+    const res = await cancel(trip);
+
+    expect(res.status).toBe(400);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it("rejects other users' trips", async () => {
+    const trip = buildTrip(buildUser());
+    mockFindById(Trip, [trip]);
+    const update = jest.spyOn(Trip, 'updateOne');
+
+    const res = await cancel(trip);
+
+    expect(res.status).toBe(403);
+    expect(update).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/trips/use/:ticket', () => {
+  let rider;
+  let device;
+
+  const scan = (ticket) => request(app)
+    .post(`/api/trips/use/${ticket}`)
+    .set('X-Device-Key', 'device-key');
+
+  const validTrip = (fields = {}) => {
+    const trip = buildTrip(rider, fields);
+    trip.user = rider;
+    jest.spyOn(Trip, 'findOne').mockReturnValue(mockQuery(trip));
+    return trip;
+  };
+
+  beforeEach(() => {
+    rider = buildUser();
+    device = buildDevice(fromStation);
+    jest.spyOn(Device, 'findByApiKey').mockResolvedValue(device);
+    mockSave(User);
+  });
+
+  it('lets the ticket through once and records the entry gate', async () => {
+    const trip = validTrip();
+    const enter = jest.spyOn(Trip, 'findOneAndUpdate').mockResolvedValue(trip);
+
+    const res = await scan(signTicket(trip));
+
+    expect(res.status).toBe(200);
+    expect(enter).toHaveBeenCalledWith(
+      { _id: trip._id, status: 'created', expiresAt: { $gt: expect.any(Date) } },
+      { $set: expect.objectContaining({ status: 'used', entryDevice: device._id, entryStation: fromStation }) },
+      { new: true }
+    );
+    expect(res.body.data.trip.status).toBe('used');
+    expect(rider.totalTrips).toBe(1);
+  });
+
+  it('rejects a ticket cancelled or scanned elsewhere after it was loaded', async () => {
+    const trip = validTrip();
+    jest.spyOn(Trip, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const res = await scan(signTicket(trip));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Trip has already been used or cancelled');
+    expect(rider.totalTrips).toBe(0);
+  });
+
+  describe('rejects tickets the gate cannot trust', () => {
+    it.each([
+      ['a forged ticket signed with the API secret', trip => jwt.sign(ticketPayload(trip), process.env.JWT_SECRET)],
+      ['a ticket signed with another key', (trip) => {
+        const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        return jwt.sign(ticketPayload(trip), privateKey, { algorithm: 'ES256' });
+      }],
+      ['a tampered ticket', trip => tamper(trip, { px: 6 })],
+      ['an unsigned ticket', trip => jwt.sign(ticketPayload(trip), null, { algorithm: 'none' })],
+      ['a bare trip code', () => 'TRIP-AB12CD34']
+    ])('refuses %s', async (_, forge) => {
+      const trip = validTrip();
+      const enter = jest.spyOn(Trip, 'findOneAndUpdate');
+
+      const res = await scan(forge(trip));
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Invalid ticket');
+      expect(Trip.findOne).not.toHaveBeenCalled();
+      expect(enter).not.toHaveBeenCalled();
+    });
+
+    it('refuses an expired ticket', async () => {
+      const trip = validTrip({ expiresAt: new Date(Date.now() - 60 * 1000) });
+
+      const res = await scan(signTicket(trip));
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Ticket has expired');
+      expect(Trip.findOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses a ticket scanned at another station', async () => {
+      const trip = validTrip();
+      Device.findByApiKey.mockResolvedValue(buildDevice(newId()));
+      const enter = jest.spyOn(Trip, 'findOneAndUpdate');
+
+      const res = await scan(signTicket(trip));
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toMatch(/^Ticket is not valid at this station/);
+      expect(enter).not.toHaveBeenCalled();
+      expect(trip.status).toBe('created');
+    });
+  });
+});
+
+describe('POST /api/trips/exit/:ticket', () => {
+  const exit = (trip) => request(app)
+    .post(`/api/trips/exit/${signTicket(trip)}`)
+    .set('X-Device-Key', 'device-key');
+
+  const startedTrip = (minutesAgo) => {
+    const trip = buildTrip(buildUser(), {
+      status: 'used',
+      journeyStartTime: new Date(Date.now() - minutesAgo * 60 * 1000)
+    });
+    jest.spyOn(Trip, 'findOne').mockReturnValue(mockQuery(trip));
+    mockSave(Trip);
+    return trip;
+  };
+
+  it('charges the excess fare when leaving beyond the paid destination', async () => {
+    const device = buildDevice(newId());
+    jest.spyOn(Device, 'findByApiKey').mockResolvedValue(device);
+    const trip = startedTrip(10);
+    const quote = jest.spyOn(Fare, 'quote').mockResolvedValue({ fare: 40 });
+
+    const res = await exit(trip);
+
+    expect(res.status).toBe(200);
+    expect(quote).toHaveBeenCalledWith(fromStation, device.station._id, 'regular');
+    expect(res.body.message).toBe('Exit recorded. Excess fare of 30 is owed');
+    expect(res.body.data.trip).toMatchObject({ excessFare: 30, exitStationMismatch: true, isOverstay: false });
+  });
+
+  it('flags journeys longer than the maximum journey time', async () => {
+    const device = buildDevice(toStation);
+    jest.spyOn(Device, 'findByApiKey').mockResolvedValue(device);
+    const trip = startedTrip(180);
+    const quote = jest.spyOn(Fare, 'quote');
+
+    const res = await exit(trip);
+
+    expect(res.status).toBe(200);
+    expect(quote).not.toHaveBeenCalled();
+    expect(res.body.data.trip).toMatchObject({ excessFare: 0, exitStationMismatch: false, isOverstay: true });
+  });
+
+  it('rejects a second exit for the same journey', async () => {
+    const device = buildDevice(toStation);
+    jest.spyOn(Device, 'findByApiKey').mockResolvedValue(device);
+    const trip = startedTrip(10);
+    trip.journeyEndTime = new Date();
+
+    const res = await exit(trip);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Journey has already been completed');
+  });
+
+  it('refuses a tampered ticket at the exit as well', async () => {
+    jest.spyOn(Device, 'findByApiKey').mockResolvedValue(buildDevice(toStation));
+    const trip = startedTrip(10);
+
+    const res = await request(app)
+      .post(`/api/trips/exit/${tamper(trip, { to: newId().toString() })}`)
+      .set('X-Device-Key', 'device-key');
+
+    expect(res.status).toBe(401);
+    expect(Trip.findOne).not.toHaveBeenCalled();
+    expect(Trip.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('no longer lets riders complete journeys themselves', async () => {
+    const user = buildUser();
+    const { auth } = signIn(user);
+    const trip = buildTrip(user, { status: 'used' });
+
+    const res = await request(app)
+      .post(`/api/trips/${trip._id}/complete`)
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,73 @@
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { mockFindById, newId, buildUser } = require('./helpers');
+
+describe('User.debitBalance', () => {
+  it('takes the balance check and the decrement in one conditional update', async () => {
+    const user = buildUser({ balance: 40 });
+    const update = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(user);
+    const record = jest.spyOn(Transaction, 'record').mockResolvedValue({});
+
+    const result = await User.debitBalance(user._id, 60, { type: 'trip_debit' });
+
+    expect(result).toBe(user);
+    expect(update).toHaveBeenCalledWith(
+      { _id: user._id, balance: { $gte: 60 } },
+      { $inc: { balance: -60 } },
+      { new: true }
+    );
+    expect(record).toHaveBeenCalledWith(user, 'debit', 60, { type: 'trip_debit' });
+  });
+
+  it('returns null and records nothing when the balance is too low', async () => {
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+    const record = jest.spyOn(Transaction, 'record');
+
+    const result = await User.debitBalance(newId(), 60);
+
+    expect(result).toBeNull();
+    expect(record).not.toHaveBeenCalled();
+  });
+
+  it('charges each trip at most once', async () => {
+    const user = buildUser({ balance: 40 });
+    const trip = newId();
+    const exists = jest.spyOn(Transaction, 'exists').mockResolvedValue({ _id: newId() });
+    mockFindById(User, [user]);
+    const update = jest.spyOn(User, 'findOneAndUpdate');
+
+    const result = await User.debitBalance(user._id, 60, { type: 'trip_debit', trip });
+
+    expect(result).toBe(user);
+    expect(exists).toHaveBeenCalledWith({ trip, type: 'trip_debit' });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('puts the money back when the ledger entry cannot be written', async () => {
+    const user = buildUser({ balance: 40 });
+    const update = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(user);
+    jest.spyOn(Transaction, 'record').mockRejectedValue(new Error('write failed'));
+
+    await expect(User.debitBalance(user._id, 60)).rejects.toThrow('write failed');
+
+    expect(update).toHaveBeenLastCalledWith({ _id: user._id }, { $inc: { balance: 60 } }, { new: true });
+  });
+});
+
+describe('User.creditBalance', () => {
+  it('undoes a refund that lost the race to a concurrent one for the same trip', async () => {
+    const credited = buildUser({ balance: 160 });
+    const reverted = buildUser({ balance: 100 });
+    jest.spyOn(Transaction, 'exists').mockResolvedValue(null);
+    const update = jest.spyOn(User, 'findOneAndUpdate')
+      .mockResolvedValueOnce(credited)
+      .mockResolvedValueOnce(reverted);
+    jest.spyOn(Transaction, 'record').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    const result = await User.creditBalance(credited._id, 60, { type: 'refund', trip: newId() });
+
+    expect(result).toBe(reverted);
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(update).toHaveBeenLastCalledWith({ _id: credited._id }, { $inc: { balance: -60 } }, { new: true });
+  });
+});
@@ -0,0 +1,20 @@
+// Minimal CSV writer for report downloads and fare matrix exports
+
+const escapeValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Convert objects to CSV with the given columns as the header row
+const toCsv = (rows, columns) => {
+  const lines = rows.map(row => columns.map(column => escapeValue(row[column])).join(','));
+  return [columns.join(','), ...lines].join('\n') + '\n';
+};
+
+module.exports = {
+  toCsv
+};
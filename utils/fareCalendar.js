@@ -0,0 +1,111 @@
+// Peak/off-peak fare calendar, configured through environment variables:
+//   PEAK_HOURS      windows charged at the 'peak' fare, e.g. "Sun-Thu 07:00-10:00;Sun-Thu 17:00-20:00"
+//   OFF_PEAK_HOURS  windows charged at the 'off-peak' fare, same format
+//   FARE_HOLIDAYS   comma-separated dates (YYYY-MM-DD) charged at the 'off-peak' fare all day
+//   FARE_TIMEZONE   IANA time zone the windows are expressed in (defaults to the server's)
+// Outside every window the 'regular' fare applies.
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Expand a day spec such as "Mon-Fri" or "Fri,Sat" into day indexes
+const parseDays = (spec) => {
+  const days = new Set();
+
+  for (const part of spec.split(',')) {
+    const [start, end = start] = part.split('-').map(day => DAYS.indexOf(day.trim()));
+
+    if (start === -1 || end === -1) {
+      throw new Error(`Invalid day in fare calendar: "${part}"`);
+    }
+
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === end) break;
+    }
+  }
+
+  return days;
+};
+
+// Parse "Mon-Fri 07:00-10:00;Sat 09:00-12:00" into time windows
+const parseWindows = (value) => {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(';').filter(window => window.trim()).map((window) => {
+    const match = window.trim().match(/^(\S+)\s+(\d{1,2}:\d{2})-(\d{1,2}:\d{2})$/);
+
+    if (!match) {
+      throw new Error(`Invalid time window in fare calendar: "${window}"`);
+    }
+
+    return {
+      label: window.trim(),
+      days: parseDays(match[1]),
+      start: toMinutes(match[2]),
+      end: toMinutes(match[3])
+    };
+  });
+};
+
+// Local date, weekday and minute of day for a moment in the calendar's time zone
+const getLocalTime = (date) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: process.env.FARE_TIMEZONE || undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: DAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+const findWindow = (windows, local) => windows.find(window =>
+  window.days.has(local.day) && local.minutes >= window.start && local.minutes < window.end
+);
+
+// Choose the fare type for a moment, with a human-readable reason
+const selectFareType = (date = new Date()) => {
+  const local = getLocalTime(date);
+
+  const holidays = (process.env.FARE_HOLIDAYS || '').split(',').map(day => day.trim()).filter(Boolean);
+  if (holidays.includes(local.date)) {
+    return { fareType: 'off-peak', reason: `Holiday (${local.date})` };
+  }
+
+  const peakWindow = findWindow(parseWindows(process.env.PEAK_HOURS), local);
+  if (peakWindow) {
+    return { fareType: 'peak', reason: `Peak hours (${peakWindow.label})` };
+  }
+
+  const offPeakWindow = findWindow(parseWindows(process.env.OFF_PEAK_HOURS), local);
+  if (offPeakWindow) {
+    return { fareType: 'off-peak', reason: `Off-peak hours (${offPeakWindow.label})` };
+  }
+
+  return { fareType: 'regular', reason: 'Standard hours' };
+};
+
+module.exports = {
+  selectFareType,
+  getLocalTime,
+  parseDays,
+  toMinutes
+};
@@ -0,0 +1,87 @@
+// Fare matrix rows: { from, to, fare, distance, duration, symmetric }, where
+// from/to are station codes. Used for bulk import and export, as CSV or JSON.
+
+const COLUMNS = ['from', 'to', 'fare', 'distance', 'duration', 'symmetric'];
+const REQUIRED_COLUMNS = ['from', 'to', 'fare', 'distance', 'duration'];
+
+// Normalize a raw row (from CSV or JSON) into typed values
+const normalizeRow = (row) => ({
+  from: String(row.from || '').trim().toUpperCase(),
+  to: String(row.to || '').trim().toUpperCase(),
+  fare: Number(row.fare),
+  distance: Number(row.distance),
+  duration: Number(row.duration),
+  symmetric: row.symmetric === true || String(row.symmetric).trim().toLowerCase() === 'true'
+});
+
+// Parse CSV text with a header row into matrix rows
+const parseCsv = (text) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+  if (lines.length === 0) {
+    throw new Error('CSV is empty');
+  }
+
+  const header = lines[0].split(',').map(column => column.trim().toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter(column => !header.includes(column));
+
+  if (missing.length > 0) {
+    throw new Error(`CSV is missing columns: ${missing.join(', ')}`);
+  }
+
+  return lines.slice(1).map((line) => {
+    const values = line.split(',');
+    const row = {};
+    header.forEach((column, index) => {
+      row[column] = values[index];
+    });
+    return normalizeRow(row);
+  });
+};
+
+// Check rows for invalid values and duplicate pairs; returns a list of error messages
+const validateRows = (rows) => {
+  const errors = [];
+  const seen = new Set();
+
+  rows.forEach((row, index) => {
+    const label = `Row ${index + 1} (${row.from} -> ${row.to})`;
+
+    if (!row.from || !row.to) {
+      errors.push(`Row ${index + 1}: from and to station codes are required`);
+      return;
+    }
+    if (row.from === row.to) {
+      errors.push(`${label}: from and to stations must be different`);
+    }
+    if (!Number.isFinite(row.fare) || row.fare < 0) {
+      errors.push(`${label}: fare must be a positive number`);
+    }
+    if (!Number.isFinite(row.distance) || row.distance < 0) {
+      errors.push(`${label}: distance must be a positive number`);
+    }
+    if (!Number.isInteger(row.duration) || row.duration < 1) {
+      errors.push(`${label}: duration must be at least 1 minute`);
+    }
+
+    const pair = `${row.from}->${row.to}`;
+    if (seen.has(pair)) {
+      errors.push(`${label}: duplicate route`);
+    }
+    seen.add(pair);
+  });
+
+  // A symmetric fare already covers the return journey
+  rows.filter(row => row.symmetric && seen.has(`${row.to}->${row.from}`)).forEach((row) => {
+    errors.push(`${row.from} -> ${row.to}: symmetric fare conflicts with the ${row.to} -> ${row.from} row`);
+  });
+
+  return errors;
+};
+
+module.exports = {
+  COLUMNS,
+  normalizeRow,
+  parseCsv,
+  validateRows
+};
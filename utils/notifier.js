@@ -0,0 +1,48 @@
+// Pluggable delivery of one-time codes and other user notifications.
+// The active transport is chosen with the NOTIFIER environment variable:
+//   console  log messages to stdout with one-time codes masked (default)
+//   file     append messages as JSON lines to NOTIFIER_FILE (default notifications.log),
+//            codes included - for local development only
+// SMS or email providers plug in through registerNotifier(name, send).
+
+const fs = require('fs');
+const path = require('path');
+
+const notifiers = {
+  console: async (notification) => {
+    // Logs are widely readable, so the code itself never goes there
+    const message = notification.code
+      ? notification.message.split(notification.code).join('******')
+      : notification.message;
+    console.log(`📨 [${notification.channel}] to ${notification.to}: ${notification.subject}\n${message}`);
+  },
+  file: async (notification) => {
+    const file = path.resolve(process.env.NOTIFIER_FILE || 'notifications.log');
+    const line = JSON.stringify({ ...notification, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(file, `${line}\n`);
+  }
+};
+
+// Register (or replace) a transport. `send` receives
+// { channel, to, subject, message, code } and returns a promise; `code` is the
+// one-time code contained in the message, if any.
+const registerNotifier = (name, send) => {
+  notifiers[name] = send;
+};
+
+// Deliver a notification through the configured transport
+const sendNotification = async ({ channel, to, subject, message, code }) => {
+  const name = process.env.NOTIFIER || 'console';
+  const send = notifiers[name];
+
+  if (!send) {
+    throw new Error(`Unknown notifier "${name}"`);
+  }
+
+  await send({ channel, to, subject, message, code });
+};
+
+module.exports = {
+  registerNotifier,
+  sendNotification
+};
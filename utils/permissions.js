@@ -0,0 +1,46 @@
+// Role-based permission map. Admins hold every permission; the other staff
+// roles only get what their job needs. Plain users hold none.
+
+const PERMISSIONS = [
+  'fares:write',        // fares, fare rules, fare matrix and revisions
+  'stations:write',     // create, update and delete stations
+  'lines:write',        // create, update and delete lines
+  'timetables:write',   // manage line service patterns
+  'devices:read',       // list gate devices
+  'devices:manage',     // register, rotate and revoke gate devices
+  'users:read',         // look up user accounts
+  'users:write',        // edit user accounts
+  'users:delete',       // deactivate user accounts
+  'balances:adjust',    // request manual wallet balance adjustments
+  'balances:approve',   // approve or reject balance adjustments requested by others
+  'concessions:review', // approve or reject concession applications
+  'trips:read',         // view any user's trips
+  'roles:manage',       // assign roles
+  'audit:read',         // search the audit log
+  'analytics:read'      // ridership and revenue reports
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  admin: PERMISSIONS,
+  operator: ['fares:write', 'stations:write', 'lines:write', 'timetables:write', 'devices:read', 'devices:manage', 'trips:read', 'analytics:read'],
+  finance: ['users:read', 'balances:adjust', 'balances:approve', 'trips:read', 'analytics:read'],
+  support: ['users:read', 'users:write', 'concessions:review', 'trips:read'],
+  'station-staff': ['users:read', 'devices:read', 'trips:read']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Get the permissions granted to a role
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+// Check whether a role grants a permission
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission
+};
@@ -0,0 +1,62 @@
+// Find the lowest-cost path between two nodes of a directed graph (Dijkstra).
+// Edges are objects with `from` and `to` node ids; `weight(edge)` gives the cost
+// of traversing an edge. Returns the ordered list of edges, or null if `to` is
+// unreachable from `from`.
+const findShortestPath = (edges, from, to, weight) => {
+  const adjacency = new Map();
+
+  for (const edge of edges) {
+    if (!adjacency.has(edge.from)) {
+      adjacency.set(edge.from, []);
+    }
+    adjacency.get(edge.from).push(edge);
+  }
+
+  const distances = new Map([[from, 0]]);
+  const previous = new Map();
+  const visited = new Set();
+
+  while (true) {
+    // Pick the closest unvisited node (graphs here are station networks, so a linear scan is fine)
+    let current = null;
+    for (const [node, distance] of distances) {
+      if (!visited.has(node) && (current === null || distance < distances.get(current))) {
+        current = node;
+      }
+    }
+
+    if (current === null) {
+      return null;
+    }
+
+    if (current === to) {
+      break;
+    }
+
+    visited.add(current);
+
+    for (const edge of adjacency.get(current) || []) {
+      const candidate = distances.get(current) + weight(edge);
+
+      if (!distances.has(edge.to) || candidate < distances.get(edge.to)) {
+        distances.set(edge.to, candidate);
+        previous.set(edge.to, edge);
+      }
+    }
+  }
+
+  // Walk back from the destination to rebuild the path
+  const path = [];
+  let node = to;
+  while (node !== from) {
+    const edge = previous.get(node);
+    path.unshift(edge);
+    node = edge.from;
+  }
+
+  return path;
+};
+
+module.exports = {
+  findShortestPath
+};
@@ -0,0 +1,61 @@
+// Train service calendar, configured through environment variables:
+//   SERVICE_WEEKEND_DAYS  days running the weekend timetable, e.g. "Fri,Sat" (default "Fri")
+//   SERVICE_HOLIDAYS      comma-separated dates (YYYY-MM-DD) running the holiday
+//                         timetable (defaults to FARE_HOLIDAYS)
+// Times are local to FARE_TIMEZONE, like the fare calendar.
+
+const { getLocalTime, parseDays, toMinutes } = require('./fareCalendar');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Choose the timetable calendar ('weekday', 'weekend' or 'holiday') for a local time
+const getServiceCalendar = (local) => {
+  const holidays = (process.env.SERVICE_HOLIDAYS || process.env.FARE_HOLIDAYS || '')
+    .split(',')
+    .map(day => day.trim())
+    .filter(Boolean);
+
+  if (holidays.includes(local.date)) {
+    return 'holiday';
+  }
+
+  if (parseDays(process.env.SERVICE_WEEKEND_DAYS || 'Fri').has(local.day)) {
+    return 'weekend';
+  }
+
+  return 'weekday';
+};
+
+// `count` consecutive service days, starting `first` days from the one
+// containing `date` (-1 for the day before), each with its calendar and the
+// moment its local midnight falls on
+const getServiceDays = (date, count = 2, first = 0) => {
+  const local = getLocalTime(date);
+  const midnight = new Date(date.getTime() - local.minutes * 60 * 1000);
+  midnight.setSeconds(0, 0);
+
+  return Array.from({ length: count }, (_, index) => {
+    const offset = first + index;
+    const start = new Date(midnight.getTime() + offset * MINUTES_PER_DAY * 60 * 1000);
+    const dayLocal = offset === 0 ? local : getLocalTime(new Date(start.getTime() + 60 * 60 * 1000));
+
+    return {
+      date: dayLocal.date,
+      calendar: getServiceCalendar(dayLocal),
+      start
+    };
+  });
+};
+
+// Format minutes after midnight as HH:MM
+const formatMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60) % 24;
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+module.exports = {
+  getServiceCalendar,
+  getServiceDays,
+  formatMinutes,
+  toMinutes
+};
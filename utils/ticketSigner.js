@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ALGORITHM = 'ES256';
+
+let signingKey = null;
+
+// Load the ECDSA P-256 private key used to sign tickets. In development an
+// ephemeral key is generated when none is configured; tickets signed with it
+// stop verifying once the process restarts.
+const getSigningKey = () => {
+  if (signingKey) {
+    return signingKey;
+  }
+
+  const pem = process.env.TICKET_SIGNING_PRIVATE_KEY;
+
+  if (pem) {
+    const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    signingKey = {
+      privateKey,
+      publicKey: crypto.createPublicKey(privateKey),
+      keyId: process.env.TICKET_SIGNING_KEY_ID || 'default'
+    };
+  } else if (process.env.NODE_ENV !== 'production') {
+    console.warn('⚠️  TICKET_SIGNING_PRIVATE_KEY is not set - using an ephemeral ticket signing key');
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    signingKey = { privateKey, publicKey, keyId: 'ephemeral' };
+  } else {
+    throw new Error('Ticket signing key is not configured');
+  }
+
+  return signingKey;
+};
+
+// Sign a compact ticket payload for a trip
+const signTicket = (trip) => {
+  const { privateKey, keyId } = getSigningKey();
+  const refId = (value) => (value && value._id ? value._id : value).toString();
+
+  return jwt.sign({
+    tid: trip._id.toString(),
+    tc: trip.tripCode,
+    fr: refId(trip.fromStation),
+    to: refId(trip.toStation),
+    px: trip.numberOfPassengers,
+    exp: Math.floor(trip.expiresAt.getTime() / 1000)
+  }, privateKey, {
+    algorithm: ALGORITHM,
+    keyid: keyId
+  });
+};
+
+// Verify a ticket signature and expiry, returning its payload.
+// Exit gates pass ignoreExpiration, since a journey may outlast the ticket.
+const verifyTicket = (ticket, { ignoreExpiration = false } = {}) => {
+  const { publicKey } = getSigningKey();
+
+  return jwt.verify(ticket, publicKey, { algorithms: [ALGORITHM], ignoreExpiration });
+};
+
+// Public key for offline verification at the gates
+const getPublicKey = () => {
+  const { publicKey, keyId } = getSigningKey();
+
+  return {
+    algorithm: ALGORITHM,
+    keyId,
+    pem: publicKey.export({ type: 'spki', format: 'pem' }),
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid: keyId, alg: ALGORITHM, use: 'sig' }
+  };
+};
+
+module.exports = {
+  signTicket,
+  verifyTicket,
+  getPublicKey
+};